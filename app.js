@@ -18,15 +18,23 @@ const state = {
     quiltWidth: 30,      // width in inches or cm
     quiltHeight: 40,     // height in inches or cm
     unit: 'in',          // 'in' or 'cm'
+    layout: 'odd-r',     // 'odd-r', 'even-r' (pointy-top) or 'odd-q', 'even-q' (flat-top)
+    trimEdges: false,    // cut the border hexes to a straight quiltWidth × quiltHeight edge
+    fabricWidth: 42,     // usable fabric width for the cutting list, in unit
+    seamAllowance: 0.25, // added around each hex when cutting, in unit
     
     // Calculated grid dimensions
     cols: 0,
     rows: 0,
     hexSize: 30,         // display size in pixels
     
-    // Grid data: array of {color: string|null, colorId: number|null, locked: boolean}
+    // Grid data: array of {color: string|null, colorId: number|null, locked: boolean, masked: boolean}
+    // masked cells are outside the quilt outline: never colored, rendered or counted
     grid: [],
     
+    // Fraction of each cell inside the trimmed quilt rectangle (null when not trimming)
+    trimFractions: null,
+    
     // Color palette: array of {id: number, color: string, total: number}
     colors: [],
     nextColorId: 1,
@@ -35,15 +43,50 @@ const state = {
     // Color being edited
     editingColorId: null,
     
-    // Anchors for gradient: array of {row, col, colorId}
+    // Anchors for gradient: array of {row, col, colorId, strength, radius}
+    // strength scales the anchor's pull, radius (in hexes, 0 = whole quilt) limits its reach
     anchors: [],
     
-    // Current tool: 'paint', 'swap', 'anchor', 'lock', 'erase'
+    // Anchor being edited: {row, col, recorded}; recorded once the current
+    // edit session has its history snapshot
+    editingAnchor: null,
+    
+    // Current tool: 'paint', 'swap', 'anchor', 'lock', 'erase', 'axis', 'mask', 'fill', 'select'
     tool: 'paint',
     
+    // Fill tool: 'contiguous' (connected region) or 'global' (replace color everywhere)
+    fillMode: 'contiguous',
+    
+    // Select tool: 'rect' or 'lasso'
+    selectMode: 'rect',
+    selection: new Set(),  // grid indices of selected hexes
+    selectionDrag: null,   // {start, end, points, path, additive} while dragging a selection
+    clipboard: null,       // copied hexes: [{q, r, s, colorId}] relative to the copy origin
+    floating: null,        // hexes being pasted or moved: {cells, origin, home}
+    moveStart: null,       // {row, col} where a drag on the selection started
+    
+    // Stamp tool
+    stampId: 'rosette',    // built-in stamp id or 'user-<id>' for a saved stamp
+    stampCells: null,      // current stamp in its current orientation: [{q, r, s, slot}]
+    stampColors: [],       // palette color id per slot
+    stampHover: null,      // {row, col} the stamp preview is centered on
+    userStamps: [],        // stamps saved from selections
+    
+    // Line tool: 'line' (between two hexes) or 'path' (through clicked points)
+    lineMode: 'line',
+    linePoints: [],        // [{row, col}] placed so far
+    lineHover: null,       // {row, col} under the pointer, previewed as the next point
+    
     // Brush size for paint/erase
     brushSize: 1, // radius in hexes
     
+    // Symmetry for paint/erase/anchor: 'none', 'mirror-h', 'mirror-v', 'mirror-hv',
+    // 'rotate-2', 'rotate-3' or 'rotate-6', around symmetryCenter {row, col}
+    // (null = middle of the grid)
+    symmetry: 'none',
+    symmetryCenter: null,
+    pickingSymmetryCenter: false, // next grid click sets the center
+    
     // Swap mode state
     swapSource: null, // {row, col}
     
@@ -56,12 +99,31 @@ const state = {
         pickedColors: [],
         history: [],
         historyIndex: -1,
-        imageData: null
+        imageData: null,
+        mode: 'pick',     // 'pick' colors or 'convert' the image to a quilt
+        placement: null,  // quilt outline on the image: {x, y, width} in image pixels
+        dragStart: null   // {x, y, placementX, placementY} while moving the outline
     },
     
     // Gradient options
     gradientDither: false,
     ditherIntensity: 5,
+    ditherAlgorithm: 'noise',     // 'noise' (seeded LAB noise) or 'diffusion' (error diffusion)
+    ditherSeed: 1,
+    gradientAssignment: 'greedy', // 'greedy' (fast) or 'optimal' (min-cost matching)
+    gradientMode: 'idw',          // 'idw', 'linear', 'radial' or 'nearest'
+    gradientPower: 2,             // IDW power exponent
+    gradientSoftness: 1,          // nearest-anchor edge softness in hexes
+    gradientAxis: null,           // {start: {row, col}, end: {row, col}} for linear/radial
+    gradientJob: null, // {worker, url, kind} while a gradient or image conversion is being computed
+    
+    // Validated design data waiting for confirmation in the import preview
+    pendingImport: null,
+    legacySaveJSON: null, // old browser save that failed to migrate, offered as a download
+    
+    // Project library entry the design is saved to (null until first saved)
+    projectId: null,
+    projectName: null,
     
     // Display options
     showNumbers: false,
@@ -75,13 +137,136 @@ const state = {
     // History for undo/redo
     history: [],
     historyIndex: -1,
-    maxHistory: 50
+    maxHistory: 50,
+    
+    // Autosave
+    autosaveReady: false,      // set once the startup recovery check is done
+    autosaveTimer: null,
+    savedDesignJSON: null,     // design as last saved, opened or autosaved
+    autosaveRecoveryId: null   // snapshot offered by the startup recovery prompt
 };
 
 // ============================================================================
-// Hex Grid Math (Pointy-Top Hexagons)
+// Hex Grid Math (Pointy-Top and Flat-Top Hexagons)
 // ============================================================================
 
+/**
+ * Grid layouts (offset coordinates):
+ * - 'odd-r' / 'even-r': pointy-top hexes in rows, odd/even rows shifted right
+ * - 'odd-q' / 'even-q': flat-top hexes in columns, odd/even columns shifted down
+ */
+const GRID_LAYOUTS = ['odd-r', 'even-r', 'odd-q', 'even-q'];
+
+/**
+ * Whether a layout uses flat-top hexes
+ */
+function isFlatTop(layout = state.layout) {
+    return layout === 'odd-q' || layout === 'even-q';
+}
+
+/**
+ * Cube directions (dq, dr) in edge order: edge i of hexCorners (corner i to i + 1)
+ * faces the neighbor in direction i, for both orientations
+ */
+const HEX_DIRECTIONS = [[1, 0], [0, 1], [-1, 1], [-1, 0], [0, -1], [1, -1]];
+
+/**
+ * Convert offset coordinates to cube coordinates {q, r, s} (q + r + s = 0)
+ */
+function offsetToCube(row, col, layout) {
+    let q, r;
+    if (layout === 'odd-r') {
+        q = col - (row - (row & 1)) / 2;
+        r = row;
+    } else if (layout === 'even-r') {
+        q = col - (row + (row & 1)) / 2;
+        r = row;
+    } else if (layout === 'odd-q') {
+        q = col;
+        r = row - (col - (col & 1)) / 2;
+    } else {
+        q = col;
+        r = row - (col + (col & 1)) / 2;
+    }
+    return { q, r, s: -q - r };
+}
+
+/**
+ * Convert cube coordinates back to offset coordinates {row, col}
+ */
+function cubeToOffset(q, r, layout) {
+    if (layout === 'odd-r') {
+        return { row: r, col: q + (r - (r & 1)) / 2 };
+    } else if (layout === 'even-r') {
+        return { row: r, col: q + (r + (r & 1)) / 2 };
+    } else if (layout === 'odd-q') {
+        return { row: r + (q - (q & 1)) / 2, col: q };
+    }
+    return { row: r + (q + (q & 1)) / 2, col: q };
+}
+
+/**
+ * Offset coordinates of the six neighbors of a hex, in HEX_DIRECTIONS order
+ * (may be outside the grid)
+ */
+function offsetNeighbors(row, col, layout) {
+    const { q, r } = offsetToCube(row, col, layout);
+    return HEX_DIRECTIONS.map(([dq, dr]) => cubeToOffset(q + dq, r + dr, layout));
+}
+
+/**
+ * Hex distance between two cells (number of steps)
+ */
+function hexDistance(row1, col1, row2, col2, layout = state.layout) {
+    const a = offsetToCube(row1, col1, layout);
+    const b = offsetToCube(row2, col2, layout);
+    return (Math.abs(a.q - b.q) + Math.abs(a.r - b.r) + Math.abs(a.s - b.s)) / 2;
+}
+
+/**
+ * Round fractional cube coordinates to the hex that contains them
+ */
+function cubeRound(q, r, s) {
+    let rq = Math.round(q);
+    let rr = Math.round(r);
+    let rs = Math.round(s);
+    
+    // Fix the coordinate with the largest rounding error so q + r + s = 0
+    const dq = Math.abs(rq - q);
+    const dr = Math.abs(rr - r);
+    const ds = Math.abs(rs - s);
+    if (dq > dr && dq > ds) {
+        rq = -rr - rs;
+    } else if (dr > ds) {
+        rr = -rq - rs;
+    } else {
+        rs = -rq - rr;
+    }
+    return { q: rq, r: rr, s: rs };
+}
+
+/**
+ * Hexes on the straight line between two cells, both ends included
+ * (cube interpolation, nudged so lines along hex edges pick one side)
+ */
+function hexLine(row1, col1, row2, col2, layout = state.layout) {
+    const a = offsetToCube(row1, col1, layout);
+    const b = offsetToCube(row2, col2, layout);
+    const steps = hexDistance(row1, col1, row2, col2, layout);
+    
+    const hexes = [];
+    for (let i = 0; i <= steps; i++) {
+        const t = steps === 0 ? 0 : i / steps;
+        const { q, r } = cubeRound(
+            a.q + 1e-6 + (b.q - a.q) * t,
+            a.r + 1e-6 + (b.r - a.r) * t,
+            a.s - 2e-6 + (b.s - a.s) * t
+        );
+        hexes.push(cubeToOffset(q, r, layout));
+    }
+    return hexes;
+}
+
 /**
  * Calculate how many hexes fit in given dimensions
  * For pointy-top hexes:
@@ -89,15 +274,38 @@ const state = {
  * - Height of hex = 2 * size (point-to-point)
  * - Horizontal spacing = width
  * - Vertical spacing = height * 0.75 (3/4 height due to nesting)
+ * Flat-top hexes are the same turned on their side: columns nest instead of rows.
+ * When trimming to straight edges the grid overhangs the quilt instead, so the
+ * quilt rectangle is completely covered and the border hexes get cut.
  */
-function calculateGridDimensions(hexSize, quiltWidth, quiltHeight) {
-    // For pointy-top hex, "size" is the distance from center to point
-    // Point-to-point height = 2 * size
+function calculateGridDimensions(hexSize, quiltWidth, quiltHeight, layout = state.layout, trim = state.trimEdges) {
+    // "size" is the distance from center to point
     // So if user says "2 inch hex", that's the point-to-point measurement
     const hexHeight = hexSize;  // point-to-point (user's measurement)
     const radius = hexHeight / 2;
     const hexWidth = Math.sqrt(3) * radius;
     
+    if (trim) {
+        // n offset hexes side by side fully cover (n - 0.5) hex widths,
+        // n nested hexes fully cover (n * 0.75 - 0.25) hex heights
+        const offsetCount = (length) => Math.ceil(length / hexWidth + 0.5);
+        const nestedCount = (length) => Math.ceil((length + hexHeight / 4) / (hexHeight * 0.75));
+        
+        return isFlatTop(layout)
+            ? { cols: Math.max(2, nestedCount(quiltWidth)), rows: Math.max(2, offsetCount(quiltHeight)) }
+            : { cols: Math.max(2, offsetCount(quiltWidth)), rows: Math.max(2, nestedCount(quiltHeight)) };
+    }
+    
+    if (isFlatTop(layout)) {
+        // Horizontal: columns nest with 3/4 overlap
+        const cols = Math.floor((quiltWidth - hexHeight / 4) / (hexHeight * 0.75)) + 1;
+        
+        // Vertical: first hex takes full flat-to-flat height, subsequent hexes stack
+        const rows = Math.floor((quiltHeight - hexWidth / 2) / hexWidth) + 1;
+        
+        return { cols: Math.max(1, cols), rows: Math.max(1, rows) };
+    }
+    
     // Horizontal: first hex takes full width, subsequent hexes overlap
     const horizontalSpacing = hexWidth;
     const cols = Math.floor((quiltWidth - hexWidth / 2) / horizontalSpacing) + 1;
@@ -111,15 +319,27 @@ function calculateGridDimensions(hexSize, quiltWidth, quiltHeight) {
 
 /**
  * Calculate pixel position for a hex at grid coordinates
- * Pointy-top hexagon layout with offset coordinates (odd-r)
+ * Offset coordinates in the given layout (odd-r, even-r, odd-q or even-q)
  */
-function hexToPixel(col, row, size) {
+function hexToPixel(col, row, size, layout = state.layout) {
     const width = Math.sqrt(3) * size;
     const height = 2 * size;
     const vertSpacing = height * 0.75;
     
-    // Offset odd rows to the right
-    const xOffset = (row % 2 === 1) ? width / 2 : 0;
+    if (isFlatTop(layout)) {
+        // Offset odd (odd-q) or even (even-q) columns down
+        const shifted = (col & 1) === (layout === 'odd-q' ? 1 : 0);
+        const yOffset = shifted ? width / 2 : 0;
+        
+        return {
+            x: col * vertSpacing + size,
+            y: row * width + yOffset + width / 2
+        };
+    }
+    
+    // Offset odd (odd-r) or even (even-r) rows to the right
+    const shifted = (row & 1) === (layout === 'even-r' ? 0 : 1);
+    const xOffset = shifted ? width / 2 : 0;
     
     const x = col * width + xOffset + size * Math.sqrt(3) / 2;
     const y = row * vertSpacing + size;
@@ -128,33 +348,97 @@ function hexToPixel(col, row, size) {
 }
 
 /**
- * Generate SVG path for a pointy-top hexagon
+ * Corner points of a hexagon, as array of {x, y}
  */
-function hexPath(cx, cy, size) {
-    const points = [];
+function hexCorners(cx, cy, size, flatTop = isFlatTop()) {
+    const corners = [];
     for (let i = 0; i < 6; i++) {
-        const angle = (Math.PI / 180) * (60 * i - 30);
-        const x = cx + size * Math.cos(angle);
-        const y = cy + size * Math.sin(angle);
-        points.push(`${x},${y}`);
+        const angle = (Math.PI / 180) * (60 * i - (flatTop ? 0 : 30));
+        corners.push({
+            x: cx + size * Math.cos(angle),
+            y: cy + size * Math.sin(angle)
+        });
     }
+    return corners;
+}
+
+/**
+ * Generate SVG path for a hexagon in the current orientation
+ */
+function hexPath(cx, cy, size, flatTop = isFlatTop()) {
+    const points = hexCorners(cx, cy, size, flatTop).map(({ x, y }) => `${x},${y}`);
     return `M${points.join('L')}Z`;
 }
 
 /**
  * Calculate SVG canvas size needed for the grid
  */
-function calculateCanvasSize(cols, rows, size) {
+function calculateCanvasSize(cols, rows, size, layout = state.layout) {
     const width = Math.sqrt(3) * size;
     const height = 2 * size;
     const vertSpacing = height * 0.75;
     
+    if (isFlatTop(layout)) {
+        return {
+            width: cols * vertSpacing + size / 2 + size,
+            height: rows * width + width / 2 + size
+        };
+    }
+    
     const canvasWidth = cols * width + width / 2 + size;
     const canvasHeight = rows * vertSpacing + size / 2 + size;
     
     return { width: canvasWidth, height: canvasHeight };
 }
 
+/**
+ * Clip a polygon (array of {x, y}) to an axis-aligned rectangle {x, y, width, height}
+ * using Sutherland–Hodgman
+ */
+function clipPolygonToRect(polygon, rect) {
+    const bounds = [
+        { axis: 'x', value: rect.x, side: 1 },
+        { axis: 'x', value: rect.x + rect.width, side: -1 },
+        { axis: 'y', value: rect.y, side: 1 },
+        { axis: 'y', value: rect.y + rect.height, side: -1 }
+    ];
+    
+    let output = polygon;
+    for (const { axis, value, side } of bounds) {
+        const input = output;
+        const inside = (p) => (p[axis] - value) * side >= 0;
+        output = [];
+        
+        input.forEach((current, i) => {
+            const previous = input[(i + input.length - 1) % input.length];
+            if (inside(current) !== inside(previous)) {
+                const t = (value - previous[axis]) / (current[axis] - previous[axis]);
+                output.push({
+                    x: previous.x + (current.x - previous.x) * t,
+                    y: previous.y + (current.y - previous.y) * t
+                });
+            }
+            if (inside(current)) {
+                output.push(current);
+            }
+        });
+    }
+    
+    return output;
+}
+
+/**
+ * Area of a simple polygon (shoelace formula)
+ */
+function polygonArea(polygon) {
+    let area = 0;
+    polygon.forEach((p, i) => {
+        const next = polygon[(i + 1) % polygon.length];
+        area += p.x * next.y - next.x * p.y;
+    });
+    return Math.abs(area) / 2;
+}
+
 // ============================================================================
 // Color Utilities
 // ============================================================================
@@ -312,17 +596,17 @@ function labToRgb(L, a, b) {
 }
 
 /**
- * Perceptual color distance using LAB (deltaE)
+ * Convert hex color to LAB (null if the hex string is invalid)
  */
-function colorDistanceLab(hex1, hex2) {
-    const rgb1 = hexToRgb(hex1);
-    const rgb2 = hexToRgb(hex2);
-    if (!rgb1 || !rgb2) return Infinity;
-    
-    const lab1 = rgbToLab(rgb1.r, rgb1.g, rgb1.b);
-    const lab2 = rgbToLab(rgb2.r, rgb2.g, rgb2.b);
-    
-    // deltaE CIE 1976
+function hexToLab(hex) {
+    const rgb = hexToRgb(hex);
+    return rgb ? rgbToLab(rgb.r, rgb.g, rgb.b) : null;
+}
+
+/**
+ * Distance between two LAB colors (deltaE CIE 1976)
+ */
+function labDistance(lab1, lab2) {
     return Math.sqrt(
         Math.pow(lab1.L - lab2.L, 2) +
         Math.pow(lab1.a - lab2.a, 2) +
@@ -330,6 +614,17 @@ function colorDistanceLab(hex1, hex2) {
     );
 }
 
+/**
+ * Perceptual color distance using LAB (deltaE)
+ */
+function colorDistanceLab(hex1, hex2) {
+    const lab1 = hexToLab(hex1);
+    const lab2 = hexToLab(hex2);
+    if (!lab1 || !lab2) return Infinity;
+    
+    return labDistance(lab1, lab2);
+}
+
 /**
  * Determine if a color is light (for text contrast)
  */
@@ -380,14 +675,186 @@ function blendColors(colorWeights) {
  * Initialize empty grid
  */
 function initializeGrid() {
+    // A running gradient was computed for the old grid
+    cancelGradient();
+    
     state.grid = [];
     for (let row = 0; row < state.rows; row++) {
         for (let col = 0; col < state.cols; col++) {
-            state.grid.push({ color: null, colorId: null, locked: false });
+            state.grid.push({ color: null, colorId: null, locked: false, masked: false });
         }
     }
     state.anchors = [];
+    state.gradientAxis = null;
     state.swapSource = null;
+    state.selection = new Set();
+    state.floating = null;
+    state.symmetryCenter = null;
+    state.linePoints = [];
+    state.lineHover = null;
+}
+
+/**
+ * Quilt outlines that can be applied when generating a grid
+ */
+const GRID_SHAPES = ['rectangle', 'hexagon', 'circle', 'diamond'];
+
+/**
+ * Mask out the cells outside a quilt outline. Each shape is centered and as
+ * large as fits the grid: the hexagon uses hex distance from the center cell,
+ * circle and diamond use hex center positions.
+ */
+function applyGridShape(shape) {
+    const centers = [];
+    for (let row = 0; row < state.rows; row++) {
+        for (let col = 0; col < state.cols; col++) {
+            centers.push(hexToPixel(col, row, 1));
+        }
+    }
+    
+    const xs = centers.map(p => p.x);
+    const ys = centers.map(p => p.y);
+    const minX = Math.min(...xs), maxX = Math.max(...xs);
+    const minY = Math.min(...ys), maxY = Math.max(...ys);
+    const cx = (minX + maxX) / 2;
+    const cy = (minY + maxY) / 2;
+    const rx = Math.max((maxX - minX) / 2, 1e-6);
+    const ry = Math.max((maxY - minY) / 2, 1e-6);
+    
+    // Largest hexagon around the center cell that stays inside the grid
+    const centerRow = Math.floor(state.rows / 2);
+    const centerCol = Math.floor(state.cols / 2);
+    let hexRadius = Infinity;
+    for (let row = -1; row <= state.rows; row++) {
+        for (let col = -1; col <= state.cols; col++) {
+            const outside = row < 0 || row >= state.rows || col < 0 || col >= state.cols;
+            if (outside) {
+                hexRadius = Math.min(hexRadius, hexDistance(centerRow, centerCol, row, col) - 1);
+            }
+        }
+    }
+    
+    const epsilon = 1e-6;
+    for (let row = 0; row < state.rows; row++) {
+        for (let col = 0; col < state.cols; col++) {
+            const { x, y } = centers[gridIndex(row, col)];
+            const dx = x - cx;
+            const dy = y - cy;
+            
+            let inside = true;
+            if (shape === 'hexagon') {
+                inside = hexDistance(centerRow, centerCol, row, col) <= hexRadius;
+            } else if (shape === 'circle') {
+                inside = Math.hypot(dx, dy) <= Math.min(rx, ry) + epsilon;
+            } else if (shape === 'diamond') {
+                inside = Math.abs(dx) / rx + Math.abs(dy) / ry <= 1 + epsilon;
+            }
+            
+            if (!inside) {
+                maskCell(row, col);
+            }
+        }
+    }
+}
+
+/**
+ * Move a cell outside the quilt outline, dropping its color, lock and anchor
+ */
+function maskCell(row, col) {
+    const cell = getCell(row, col);
+    cell.masked = true;
+    cell.color = null;
+    cell.colorId = null;
+    cell.locked = false;
+    state.anchors = state.anchors.filter(a => a.row !== row || a.col !== col);
+}
+
+/**
+ * Number of cells inside the quilt outline
+ */
+function countActiveCells() {
+    return state.grid.filter(cell => !cell.masked).length;
+}
+
+/**
+ * The finished quilt rectangle (quiltWidth × quiltHeight) in pixels for the
+ * given hex size, centered on the hex centers like the grid's full coverage
+ */
+function getTrimRect(size) {
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (let row = 0; row < state.rows; row++) {
+        for (let col = 0; col < state.cols; col++) {
+            const { x, y } = hexToPixel(col, row, size);
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        }
+    }
+    
+    // hexRealSize is point-to-point, i.e. two display sizes
+    const pixelsPerUnit = 2 * size / state.hexRealSize;
+    const width = state.quiltWidth * pixelsPerUnit;
+    const height = state.quiltHeight * pixelsPerUnit;
+    
+    return {
+        x: (minX + maxX) / 2 - width / 2,
+        y: (minY + maxY) / 2 - height / 2,
+        width,
+        height
+    };
+}
+
+/**
+ * Work out how much of each cell is inside the trimmed quilt rectangle.
+ * With maskOutside, cells that fall completely outside are masked.
+ */
+function computeTrimFractions(maskOutside = false) {
+    if (!state.trimEdges) {
+        state.trimFractions = null;
+        return;
+    }
+    
+    const rect = getTrimRect(1);
+    const fullArea = polygonArea(hexCorners(0, 0, 1));
+    state.trimFractions = [];
+    
+    for (let row = 0; row < state.rows; row++) {
+        for (let col = 0; col < state.cols; col++) {
+            const { x, y } = hexToPixel(col, row, 1);
+            const piece = clipPolygonToRect(hexCorners(x, y, 1), rect);
+            const fraction = piece.length > 2 ? polygonArea(piece) / fullArea : 0;
+            
+            // Snap float noise so full hexes and slivers classify cleanly
+            state.trimFractions.push(fraction > 0.999 ? 1 : fraction < 0.01 ? 0 : fraction);
+            
+            if (maskOutside && fraction < 0.01) {
+                maskCell(row, col);
+            }
+        }
+    }
+}
+
+/**
+ * Whether a cell is a full hex, a piece of at most half a hex, or a larger trimmed piece
+ */
+function getPieceKind(idx) {
+    const fraction = state.trimFractions ? state.trimFractions[idx] : 1;
+    if (fraction >= 1) return 'full';
+    return fraction <= 0.5 + 1e-6 ? 'half' : 'trimmed';
+}
+
+/**
+ * Count the pieces of a color by kind: {full, half, trimmed}
+ */
+function countColorPieces(colorId) {
+    const pieces = { full: 0, half: 0, trimmed: 0 };
+    state.grid.forEach((cell, idx) => {
+        if (cell.colorId === colorId) {
+            pieces[getPieceKind(idx)]++;
+        }
+    });
+    return pieces;
 }
 
 /**
@@ -409,28 +876,15 @@ function getCell(row, col) {
 
 /**
  * Get all hexes within a given radius (using hex distance)
- * For offset coordinates (odd-r), convert to cube coordinates
+ * Offset coordinates are converted to cube coordinates for the current layout
  */
 function getHexesInRadius(centerRow, centerCol, radius) {
     const hexes = [];
     
-    // Convert center to cube coordinates (x, y, z where x+y+z=0)
-    const centerX = centerCol - Math.floor(centerRow / 2);
-    const centerZ = centerRow;
-    const centerY = -centerX - centerZ;
-    
     // Check all hexes in grid
     for (let row = 0; row < state.rows; row++) {
         for (let col = 0; col < state.cols; col++) {
-            // Convert to cube coordinates
-            const x = col - Math.floor(row / 2);
-            const z = row;
-            const y = -x - z;
-            
-            // Calculate hex distance (Manhattan distance in cube coords / 2)
-            const distance = (Math.abs(centerX - x) + Math.abs(centerY - y) + Math.abs(centerZ - z)) / 2;
-            
-            if (distance <= radius) {
+            if (hexDistance(centerRow, centerCol, row, col) <= radius) {
                 hexes.push({ row, col });
             }
         }
@@ -483,6 +937,7 @@ function saveToHistory() {
     }
     
     updateHistoryButtons();
+    scheduleAutosave();
 }
 
 /**
@@ -494,6 +949,7 @@ function restoreFromHistory(snapshot) {
     state.swapSource = null;
     renderGrid();
     updateColorCounts();
+    scheduleAutosave();
 }
 
 function undo() {
@@ -546,15 +1002,39 @@ function renderGrid() {
     // Clear existing content
     svg.innerHTML = '';
     
+    // Border hexes are clipped to the finished quilt edge when trimming
+    const trimRect = state.trimFractions ? getTrimRect(state.hexSize) : null;
+    if (trimRect) {
+        const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+        const clipPath = document.createElementNS('http://www.w3.org/2000/svg', 'clipPath');
+        clipPath.setAttribute('id', 'quilt-trim');
+        clipPath.appendChild(createTrimRectElement(trimRect));
+        defs.appendChild(clipPath);
+        svg.appendChild(defs);
+    }
+    
     // Render hexagons
     for (let row = 0; row < state.rows; row++) {
         for (let col = 0; col < state.cols; col++) {
             const cell = getCell(row, col);
             const { x, y } = hexToPixel(col, row, state.hexSize);
             
+            // Cells outside the quilt outline only show while editing the mask
+            if (cell.masked && state.tool !== 'mask') continue;
+            
             // Create hex path
             const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
             path.setAttribute('d', hexPath(x, y, state.hexSize * 0.95)); // Slight gap between hexes
+            
+            if (cell.masked) {
+                path.setAttribute('class', 'hex masked');
+                path.setAttribute('fill', 'none');
+                path.setAttribute('data-row', row);
+                path.setAttribute('data-col', col);
+                svg.appendChild(path);
+                continue;
+            }
+            
             path.setAttribute('class', 'hex' + (cell.color ? '' : ' empty'));
             path.setAttribute('fill', cell.color || '#ffffff');
             path.setAttribute('data-row', row);
@@ -566,7 +1046,7 @@ function renderGrid() {
             }
             
             // Check if this is an anchor
-            const anchor = state.anchors.find(a => a.row === row && a.col === col);
+            const anchor = findAnchor(row, col);
             if (anchor) {
                 path.classList.add('anchor');
             }
@@ -576,6 +1056,11 @@ function renderGrid() {
                 path.classList.add('locked');
             }
             
+            const trimmed = trimRect && getPieceKind(gridIndex(row, col)) !== 'full';
+            if (trimmed) {
+                path.setAttribute('clip-path', 'url(#quilt-trim)');
+            }
+            
             svg.appendChild(path);
             
             // Add color number if enabled and cell has color
@@ -584,6 +1069,9 @@ function renderGrid() {
                 text.setAttribute('x', x);
                 text.setAttribute('y', y);
                 text.setAttribute('class', 'hex-number ' + (isLightColor(cell.color) ? 'light-bg' : 'dark-bg'));
+                if (trimmed) {
+                    text.setAttribute('clip-path', 'url(#quilt-trim)');
+                }
                 text.textContent = cell.colorId;
                 svg.appendChild(text);
             }
@@ -593,13 +1081,25 @@ function renderGrid() {
                 const colorObj = state.colors.find(c => c.id === anchor.colorId);
                 const anchorColor = colorObj ? colorObj.color : '#888888';
                 
-                // Draw a small hexagon marker showing the anchor color
-                const markerSize = state.hexSize * 0.3;
+                // Draw a small hexagon marker showing the anchor color, sized by strength
+                const markerScale = Math.max(0.6, Math.min(1.6, Math.sqrt(anchor.strength)));
+                const markerSize = state.hexSize * 0.3 * markerScale;
                 const marker = document.createElementNS('http://www.w3.org/2000/svg', 'path');
                 marker.setAttribute('d', hexPath(x, y - state.hexSize * 0.55, markerSize));
                 marker.setAttribute('fill', anchorColor);
-                marker.setAttribute('class', 'anchor-marker');
+                marker.setAttribute('class', 'anchor-marker' + (isEditingAnchor(row, col) ? ' editing' : ''));
                 svg.appendChild(marker);
+                
+                // Show the falloff radius (neighbouring hex centers are sqrt(3) * size apart)
+                if (anchor.radius > 0) {
+                    const radius = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+                    radius.setAttribute('cx', x);
+                    radius.setAttribute('cy', y);
+                    radius.setAttribute('r', anchor.radius * Math.sqrt(3) * state.hexSize);
+                    radius.setAttribute('stroke', anchorColor);
+                    radius.setAttribute('class', 'anchor-radius');
+                    svg.appendChild(radius);
+                }
             }
             
             // Add lock indicator if this cell is locked
@@ -615,9 +1115,99 @@ function renderGrid() {
         }
     }
     
+    if (trimRect) {
+        const outline = createTrimRectElement(trimRect);
+        outline.setAttribute('class', 'trim-outline');
+        svg.appendChild(outline);
+    }
+    
+    // The edited anchor may have been removed (erase, undo, color removed)
+    if (state.editingAnchor && !findAnchor(state.editingAnchor.row, state.editingAnchor.col)) {
+        closeAnchorEditor();
+    }
+    
+    renderOverlays();
     updateStats();
 }
 
+/**
+ * SVG rect for the trimmed quilt edge
+ */
+function createTrimRectElement(rect) {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    el.setAttribute('x', rect.x);
+    el.setAttribute('y', rect.y);
+    el.setAttribute('width', rect.width);
+    el.setAttribute('height', rect.height);
+    return el;
+}
+
+/**
+ * Draw tool overlays (gradient axis, symmetry, selection, stamp and line
+ * previews) on top of the hexes.
+ * They live in their own group so they can be redrawn while dragging
+ * without re-rendering the whole grid.
+ */
+function renderOverlays() {
+    const svg = document.getElementById('hex-grid');
+    const existing = svg.querySelector('.overlay-layer');
+    if (existing) existing.remove();
+    
+    const layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    layer.setAttribute('class', 'overlay-layer');
+    
+    renderAxisOverlay(layer);
+    renderSymmetryOverlay(layer);
+    renderSelectionOverlay(layer);
+    renderStampOverlay(layer);
+    renderLineOverlay(layer);
+    
+    svg.appendChild(layer);
+}
+
+/**
+ * Draw the gradient axis (linear) or center (radial)
+ */
+function renderAxisOverlay(layer) {
+    const axisModes = ['linear', 'radial'];
+    if (!state.gradientAxis || (state.tool !== 'axis' && !axisModes.includes(state.gradientMode))) {
+        return;
+    }
+    
+    const { start, end } = state.gradientAxis;
+    const p1 = hexToPixel(start.col, start.row, state.hexSize);
+    const p2 = hexToPixel(end.col, end.row, state.hexSize);
+    
+    if (p1.x !== p2.x || p1.y !== p2.y) {
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('x1', p1.x);
+        line.setAttribute('y1', p1.y);
+        line.setAttribute('x2', p2.x);
+        line.setAttribute('y2', p2.y);
+        line.setAttribute('class', 'axis-line');
+        layer.appendChild(line);
+        
+        // Arrow head at the end of the axis
+        const angle = Math.atan2(p2.y - p1.y, p2.x - p1.x);
+        const headSize = state.hexSize * 0.5;
+        const points = [-0.5, 0.5].map(spread => {
+            const a = angle + Math.PI + spread;
+            return `${p2.x + headSize * Math.cos(a)},${p2.y + headSize * Math.sin(a)}`;
+        });
+        const arrow = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        arrow.setAttribute('d', `M${p2.x},${p2.y}L${points[0]}L${points[1]}Z`);
+        arrow.setAttribute('class', 'axis-arrow');
+        layer.appendChild(arrow);
+    }
+    
+    const center = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    center.setAttribute('cx', p1.x);
+    center.setAttribute('cy', p1.y);
+    center.setAttribute('r', state.hexSize * 0.25);
+    center.setAttribute('class', 'axis-center');
+    layer.appendChild(center);
+}
+
 /**
  * Update grid info display
  */
@@ -693,10 +1283,16 @@ function updateColorQuantity(colorId, newTotal) {
 }
 
 /**
- * Count how many cells have a given color
+ * Count how many hexes of a given color the design uses. When trimming,
+ * two pieces of at most half a hex are cut from one hexagon.
  */
 function countColorUsage(colorId) {
-    return state.grid.filter(cell => cell.colorId === colorId).length;
+    if (!state.trimFractions) {
+        return state.grid.filter(cell => cell.colorId === colorId).length;
+    }
+    
+    const pieces = countColorPieces(colorId);
+    return pieces.full + pieces.trimmed + Math.ceil(pieces.half / 2);
 }
 
 /**
@@ -740,6 +1336,7 @@ function renderColorList() {
     
     updateColorCounts();
     renderMiniColorSelector();
+    renderStampSlots();
 }
 
 /**
@@ -790,10 +1387,56 @@ function updateColorCounts() {
     
     document.getElementById('total-available').textContent = totalAvailable;
     document.getElementById('total-placed').textContent = totalPlaced;
-    document.getElementById('total-cells').textContent = state.grid.length;
+    document.getElementById('total-cells').textContent = countActiveCells();
     
     // Update individual color items
     renderColorList_countsOnly();
+    renderCuttingList();
+}
+
+/**
+ * Show the per-color cutting totals: hexes and fabric to buy, plus full hexes
+ * vs trimmed border pieces when trimming to straight edges
+ */
+function renderCuttingList() {
+    const list = document.getElementById('cutting-list');
+    if (state.colors.length === 0) {
+        list.classList.remove('visible');
+        list.innerHTML = '';
+        return;
+    }
+    
+    const trimming = state.trimFractions !== null;
+    const rows = buildCuttingReport().map(({ colorObj, hexes, fabric }) => {
+        const pieces = trimming ? countColorPieces(colorObj.id) : null;
+        return `
+            <tr>
+                <td><span class="cutting-swatch" style="background-color: ${colorObj.color}"></span>#${colorObj.id}</td>
+                ${trimming ? `<td>${pieces.full}</td><td>${pieces.half}</td><td>${pieces.trimmed}</td>` : ''}
+                <td>${hexes}</td>
+                <td>${fabric ? formatFabricAmount(fabric.length) : '—'}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    list.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Color</th>
+                    ${trimming ? `
+                    <th title="Whole hexagons">Full</th>
+                    <th title="Pieces of at most half a hexagon, two cut from one hex">Half</th>
+                    <th title="Border pieces larger than half a hexagon">Trim</th>
+                    ` : ''}
+                    <th title="Hexagons needed">Hexes</th>
+                    <th title="Fabric to buy for the placed hexes">Fabric</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+    list.classList.add('visible');
 }
 
 /**
@@ -826,40 +1469,304 @@ function updateStats() {
 }
 
 // ============================================================================
-// Color Editor
+// Fabric Requirements
 // ============================================================================
 
+const DEFAULT_FABRIC_WIDTH = { in: 42, cm: 107 };  // usable width of quilting cotton
+
 /**
- * Open the color editor for a specific color
+ * Fabric length (in the design unit) needed to cut count hexes from a strip
+ * of the given width, with seam allowance added around each hex. Hexes are
+ * nested in a honeycomb so neighbours share cutting lines; both orientations
+ * are tried and the shorter one wins.
+ * Returns {length, perRow, orientation} or null if a hex doesn't fit the width.
  */
-function openColorEditor(colorId) {
-    const colorObj = state.colors.find(c => c.id === colorId);
-    if (!colorObj) return;
-    
-    state.editingColorId = colorId;
+function calculateFabricLength(count, fabricWidth, seam) {
+    // Cut radius (center to point) grows by seam / cos(30°)
+    const radius = state.hexRealSize / 2 + seam * 2 / Math.sqrt(3);
+    const flatToFlat = Math.sqrt(3) * radius;
+    if (count <= 0) return { length: 0, perRow: 0, orientation: 'pointy' };
+    
+    const options = [];
+    
+    // Points along the strip: rows across the width, every other row shifted
+    const rowFull = Math.floor(fabricWidth / flatToFlat);
+    const rowShifted = Math.floor((fabricWidth - flatToFlat / 2) / flatToFlat);
+    if (rowFull > 0) {
+        let rows = 0;
+        let cut = 0;
+        while (cut < count) {
+            cut += rows % 2 === 0 ? rowFull : Math.max(rowShifted, 0);
+            rows++;
+        }
+        options.push({ length: 2 * radius + 1.5 * radius * (rows - 1), perRow: rowFull, orientation: 'pointy' });
+    }
     
-    // Update editor UI
-    document.getElementById('editor-swatch').style.backgroundColor = colorObj.color;
-    document.getElementById('editor-color-id').textContent = colorId;
-    document.getElementById('editor-qty').value = colorObj.total;
+    // Points across the strip: columns along it, every other column shifted half a hex
+    const columns = fabricWidth >= 2 * radius ? Math.floor((fabricWidth - 2 * radius) / (1.5 * radius)) + 1 : 0;
+    if (columns > 0) {
+        const even = Math.ceil(columns / 2);
+        const odd = Math.floor(columns / 2);
+        
+        // Length in half-hex steps: even columns fit floor(t / 2), odd ones floor((t - 1) / 2)
+        let steps = 2;
+        while (even * Math.floor(steps / 2) + odd * Math.floor((steps - 1) / 2) < count) {
+            steps++;
+        }
+        options.push({ length: steps * flatToFlat / 2, perRow: columns, orientation: 'flat' });
+    }
     
-    // Show editor
-    document.getElementById('color-editor').classList.add('visible');
+    if (options.length === 0) return null;
+    return options.reduce((best, option) => option.length < best.length ? option : best);
 }
 
 /**
- * Close the color editor
+ * Fabric length in yards (inches) or meters (centimeters)
  */
-function closeColorEditor() {
-    state.editingColorId = null;
-    document.getElementById('color-editor').classList.remove('visible');
+function fabricLengthToPurchase(length) {
+    return state.unit === 'cm' ? length / 100 : length / 36;
 }
 
-// ============================================================================
-// Sidebar Toggle and Resize
-// ============================================================================
+/**
+ * Format a purchase amount, rounded up to 1/8 yard or 0.1 meter
+ */
+function formatFabricAmount(length) {
+    const amount = fabricLengthToPurchase(length);
+    if (state.unit === 'cm') {
+        return `${(Math.ceil(amount * 10) / 10).toFixed(1)} m`;
+    }
+    return `${(Math.ceil(amount * 8) / 8).toFixed(3).replace(/0+$/, '').replace(/\.$/, '')} yd`;
+}
 
-function toggleSidebar() {
+/**
+ * One cutting report line per palette color
+ */
+function buildCuttingReport() {
+    return state.colors.map(colorObj => {
+        const hexes = countColorUsage(colorObj.id);
+        const fabric = calculateFabricLength(hexes, state.fabricWidth, state.seamAllowance);
+        return { colorObj, hexes, fabric };
+    });
+}
+
+/**
+ * Fabric width in another unit: the default width maps to the other unit's
+ * default, anything else is converted to the nearest half unit
+ */
+function convertFabricWidth(width, fromUnit, toUnit) {
+    if (fromUnit === toUnit) return width;
+    if (width === DEFAULT_FABRIC_WIDTH[fromUnit]) return DEFAULT_FABRIC_WIDTH[toUnit];
+    
+    const converted = toUnit === 'cm' ? width * 2.54 : width / 2.54;
+    return Math.max(0.5, Math.round(converted * 2) / 2);
+}
+
+/**
+ * Restore fabric settings from saved design data (older designs use the defaults)
+ */
+function loadFabricSettings(data) {
+    state.fabricWidth = data.fabricWidth > 0 ? data.fabricWidth : DEFAULT_FABRIC_WIDTH[state.unit];
+    state.seamAllowance = data.seamAllowance >= 0 ? data.seamAllowance : 0.25;
+    document.getElementById('fabric-width').value = state.fabricWidth;
+    document.getElementById('seam-allowance').value = state.seamAllowance;
+}
+
+/**
+ * Show the current unit next to every length input
+ */
+function updateUnitLabels() {
+    ['unit-width', 'unit-height', 'unit-fabric-width', 'unit-seam', 'unit-mat', 'unit-raster-margin'].forEach(id => {
+        document.getElementById(id).textContent = state.unit;
+    });
+}
+
+/**
+ * Download the cutting report as CSV
+ */
+function exportCuttingCSV() {
+    const purchaseUnit = state.unit === 'cm' ? 'm' : 'yd';
+    const cutSize = state.hexRealSize + state.seamAllowance * 4 / Math.sqrt(3);
+    const lines = [
+        ['Color', 'Hex', 'Hexes', `Cut size (${state.unit}, point to point)`, 'Hexes per row',
+            `Length (${state.unit})`, `Length (${purchaseUnit})`, 'Buy'].join(',')
+    ];
+    
+    for (const { colorObj, hexes, fabric } of buildCuttingReport()) {
+        lines.push([
+            colorObj.id,
+            colorObj.color,
+            hexes,
+            cutSize.toFixed(3),
+            fabric ? fabric.perRow : '',
+            fabric ? fabric.length.toFixed(2) : '',
+            fabric ? fabricLengthToPurchase(fabric.length).toFixed(3) : '',
+            fabric ? formatFabricAmount(fabric.length) : 'hex wider than fabric'
+        ].join(','));
+    }
+    
+    const blob = new Blob([lines.join('\n') + '\n'], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.download = 'hex-quilt-cutting-list.csv';
+    link.href = url;
+    link.click();
+    
+    URL.revokeObjectURL(url);
+    setStatus('Cutting list exported');
+}
+
+/**
+ * Open the cutting report as a printable table in a new window
+ */
+function printCuttingReport() {
+    const report = buildCuttingReport();
+    const rows = report.map(({ colorObj, hexes, fabric }) => `
+        <tr>
+            <td><span style="display: inline-block; width: 1em; height: 1em; background: ${colorObj.color}; border: 1px solid #999; vertical-align: middle;"></span> #${colorObj.id}</td>
+            <td>${colorObj.color}</td>
+            <td>${hexes}</td>
+            <td>${fabric ? fabric.perRow : ''}</td>
+            <td>${fabric ? fabric.length.toFixed(1) + ' ' + state.unit : ''}</td>
+            <td><strong>${fabric ? formatFabricAmount(fabric.length) : 'hex wider than fabric'}</strong></td>
+        </tr>
+    `).join('');
+    const cutSize = state.hexRealSize + state.seamAllowance * 4 / Math.sqrt(3);
+    
+    const win = window.open('', '_blank');
+    if (!win) {
+        setStatus('Allow pop-ups to print the cutting list');
+        return;
+    }
+    
+    win.document.write(`<!DOCTYPE html>
+<html>
+<head>
+    <title>Hex Quilt Cutting List</title>
+    <style>
+        body { font-family: sans-serif; margin: 2rem; }
+        table { border-collapse: collapse; }
+        th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; }
+    </style>
+</head>
+<body>
+    <h1>Cutting list</h1>
+    <p>${state.hexRealSize} ${state.unit} hexes (point to point), cut at ${cutSize.toFixed(2)} ${state.unit} with
+       ${state.seamAllowance} ${state.unit} seam allowance, from ${state.fabricWidth} ${state.unit} wide fabric.</p>
+    <table>
+        <thead>
+            <tr><th>Color</th><th>Hex</th><th>Hexes</th><th>Per row</th><th>Length</th><th>Buy</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+    </table>
+</body>
+</html>`);
+    win.document.close();
+    win.focus();
+    win.print();
+}
+
+// ============================================================================
+// Color Editor
+// ============================================================================
+
+/**
+ * Open the color editor for a specific color
+ */
+function openColorEditor(colorId) {
+    const colorObj = state.colors.find(c => c.id === colorId);
+    if (!colorObj) return;
+    
+    state.editingColorId = colorId;
+    
+    // Update editor UI
+    document.getElementById('editor-swatch').style.backgroundColor = colorObj.color;
+    document.getElementById('editor-color-id').textContent = colorId;
+    document.getElementById('editor-qty').value = colorObj.total;
+    
+    // Show editor
+    document.getElementById('color-editor').classList.add('visible');
+}
+
+/**
+ * Close the color editor
+ */
+function closeColorEditor() {
+    state.editingColorId = null;
+    document.getElementById('color-editor').classList.remove('visible');
+}
+
+// ============================================================================
+// Anchor Editor
+// ============================================================================
+
+/**
+ * Open the anchor editor for the anchor at row/col
+ */
+function openAnchorEditor(row, col) {
+    const anchor = findAnchor(row, col);
+    if (!anchor) return;
+    
+    state.editingAnchor = { row, col, recorded: false };
+    
+    const colorObj = state.colors.find(c => c.id === anchor.colorId);
+    document.getElementById('anchor-editor-swatch').style.backgroundColor = colorObj ? colorObj.color : '#888888';
+    document.getElementById('anchor-editor-position').textContent = `row ${row + 1}, col ${col + 1}`;
+    document.getElementById('anchor-strength').value = anchor.strength;
+    document.getElementById('anchor-radius').value = anchor.radius;
+    
+    document.getElementById('anchor-editor').classList.add('visible');
+}
+
+/**
+ * Close the anchor editor
+ */
+function closeAnchorEditor() {
+    state.editingAnchor = null;
+    document.getElementById('anchor-editor').classList.remove('visible');
+}
+
+function isEditingAnchor(row, col) {
+    return state.editingAnchor !== null && state.editingAnchor.row === row && state.editingAnchor.col === col;
+}
+
+/**
+ * Start a new edit session: its first change gets its own undo step
+ */
+function beginAnchorEdit() {
+    if (state.editingAnchor) {
+        state.editingAnchor.recorded = false;
+    }
+}
+
+/**
+ * Apply the anchor editor inputs to the edited anchor
+ */
+function updateEditingAnchor() {
+    if (!state.editingAnchor) return;
+    
+    const anchor = findAnchor(state.editingAnchor.row, state.editingAnchor.col);
+    if (!anchor) return;
+    
+    if (!state.editingAnchor.recorded) {
+        saveToHistory();
+        state.editingAnchor.recorded = true;
+    }
+    
+    const strength = parseFloat(document.getElementById('anchor-strength').value);
+    const radius = parseFloat(document.getElementById('anchor-radius').value);
+    if (!isNaN(strength)) anchor.strength = Math.max(0.1, Math.min(10, strength));
+    if (!isNaN(radius)) anchor.radius = Math.max(0, radius);
+    
+    renderGrid();
+    scheduleAutosave();
+}
+
+// ============================================================================
+// Sidebar Toggle and Resize
+// ============================================================================
+
+function toggleSidebar() {
     state.sidebarCollapsed = !state.sidebarCollapsed;
     const sidebar = document.getElementById('sidebar');
     const toggle = document.getElementById('sidebar-toggle');
@@ -944,8 +1851,11 @@ function zoomReset() {
 
 /**
  * Generate gradient fill based on anchor points
- * Uses inverse-distance weighting to blend anchor colors in LAB color space,
- * then assigns closest available palette color (perceptual LAB distance) respecting quantities
+ * Blends anchor colors in LAB color space using the selected mode (state.gradientMode),
+ * then assigns palette colors (perceptual LAB distance) respecting quantities,
+ * either greedily or by optimal matching (state.gradientAssignment).
+ * The computation runs in a Web Worker so large quilts don't freeze the page;
+ * the result is applied as a single undoable step.
  */
 function generateGradient() {
     if (state.anchors.length < 2) {
@@ -958,801 +1868,4696 @@ function generateGradient() {
         return;
     }
     
-    saveToHistory();
+    if (state.gradientJob) {
+        setStatus('A gradient or image conversion is already running');
+        return;
+    }
     
-    console.time('Gradient generation');
+    if (state.gradientMode === 'linear' && !state.gradientAxis) {
+        setStatus('Draw a gradient axis with the Axis tool first');
+        return;
+    }
     
-    // Step 1: Calculate ideal color for each cell based on anchor distances
-    const idealColors = [];
+    if (state.gradientMode === 'radial' && !state.gradientAxis) {
+        setStatus('Set the radial center with the Axis tool first');
+        return;
+    }
+    
+    const job = buildGradientJob();
+    const startedAt = performance.now();
+    
+    setStatus('Generating gradient…');
+    runGradientJob(job, (result) => {
+        applyGradientResult(job, result, performance.now() - startedAt);
+    });
+}
+
+/**
+ * Run a gradient or image conversion job (job.kind) in the worker, showing
+ * its progress; onResult gets the result unless the job is cancelled
+ */
+function runGradientJob(job, onResult) {
+    const finish = (result) => {
+        finishGradientJob();
+        onResult(result);
+    };
+    
+    showGradientProgress(0);
+    
+    if (typeof Worker === 'undefined') {
+        // No worker support: compute on the main thread
+        state.gradientJob = { worker: null, url: null, kind: job.kind };
+        finish(computeJob(job, () => {}));
+        return;
+    }
+    
+    const url = URL.createObjectURL(new Blob([buildGradientWorkerSource()], { type: 'application/javascript' }));
+    const worker = new Worker(url);
+    state.gradientJob = { worker, url, kind: job.kind };
+    
+    worker.onmessage = (e) => {
+        if (e.data.type === 'progress') {
+            showGradientProgress(e.data.fraction);
+        } else if (e.data.type === 'result') {
+            finish(e.data);
+        }
+    };
+    
+    worker.onerror = (e) => {
+        console.error('Gradient worker failed:', e);
+        finishGradientJob();
+        setStatus((job.kind === 'convert' ? 'Image conversion' : 'Gradient generation') + ' failed: ' + (e.message || 'worker error'));
+    };
     
+    worker.postMessage(job);
+}
+
+/**
+ * Compute a worker job: a gradient, or the palette assignment for an image
+ * conversion (runs inside the worker)
+ */
+function computeJob(job, onProgress) {
+    return job.kind === 'convert' ? computeConversion(job, onProgress) : computeGradient(job, onProgress);
+}
+
+/**
+ * Collect everything the gradient computation needs into a plain object
+ * that can be posted to the worker. Pixel positions are precomputed here
+ * so the worker only deals with numbers.
+ */
+function buildGradientJob() {
+    const cells = [];
     for (let row = 0; row < state.rows; row++) {
         for (let col = 0; col < state.cols; col++) {
             const idx = gridIndex(row, col);
+            // Locked cells keep their color, masked cells are outside the quilt
+            if (state.grid[idx].locked || state.grid[idx].masked) continue;
             
-            // Calculate distances to each anchor
-            const colorWeights = [];
-            for (const anchor of state.anchors) {
-                const colorObj = state.colors.find(c => c.id === anchor.colorId);
-                if (!colorObj) continue;
-                
-                // Calculate hex grid distance (accounting for offset rows)
-                const pos1 = hexToPixel(col, row, 1);
-                const pos2 = hexToPixel(anchor.col, anchor.row, 1);
-                const dist = Math.sqrt(Math.pow(pos1.x - pos2.x, 2) + Math.pow(pos1.y - pos2.y, 2));
-                
-                // Inverse square distance weighting for more localized gradients
-                // Higher power = faster falloff = less influence from distant anchors
-                const weight = 1 / (dist * dist + 0.01);
-                colorWeights.push({ color: colorObj.color, weight });
-            }
-            
-            let idealColor = blendColors(colorWeights);
-            
-            // Apply dither if enabled
-            if (state.gradientDither && idealColor) {
-                const rgb = hexToRgb(idealColor);
-                if (rgb) {
-                    const lab = rgbToLab(rgb.r, rgb.g, rgb.b);
-                    
-                    // Add random noise to LAB values (perceptually uniform)
-                    // Scale noise by dither intensity
-                    const noise = state.ditherIntensity;
-                    lab.L += (Math.random() - 0.5) * noise * 2;
-                    lab.a += (Math.random() - 0.5) * noise;
-                    lab.b += (Math.random() - 0.5) * noise;
-                    
-                    // Clamp LAB values to valid ranges
-                    lab.L = Math.max(0, Math.min(100, lab.L));
-                    // a and b typically range -128 to 127, but we don't strictly clamp
-                    
-                    const ditheredRgb = labToRgb(lab.L, lab.a, lab.b);
-                    idealColor = rgbToHex(ditheredRgb.r, ditheredRgb.g, ditheredRgb.b);
-                }
-            }
-            
-            idealColors.push({ row, col, idx, idealColor });
+            const { x, y } = hexToPixel(col, row, 1);
+            cells.push({ idx, x, y });
         }
     }
     
-    // Step 2: Assign actual colors from palette, respecting quantities
-    // Sort cells by how "certain" their color assignment is (furthest from ambiguity)
-    // Then greedily assign colors
+    const anchors = [];
+    for (const anchor of state.anchors) {
+        const colorObj = state.colors.find(c => c.id === anchor.colorId);
+        if (!colorObj) continue;
+        
+        const { x, y } = hexToPixel(anchor.col, anchor.row, 1);
+        anchors.push({
+            x,
+            y,
+            color: colorObj.color,
+            strength: anchor.strength,
+            // Radius is in hexes; neighbouring hex centers are sqrt(3) apart at size 1
+            radius: anchor.radius * Math.sqrt(3)
+        });
+    }
     
-    // Track remaining quantities
-    const remaining = {};
-    for (const colorObj of state.colors) {
-        remaining[colorObj.id] = colorObj.total;
+    let axis = null;
+    if (state.gradientAxis) {
+        const { start, end } = state.gradientAxis;
+        axis = {
+            start: hexToPixel(start.col, start.row, 1),
+            end: hexToPixel(end.col, end.row, 1)
+        };
     }
     
-    // For each cell, find best matching available color
-    // Process in order of distance from nearest anchor (most certain first)
-    idealColors.sort((a, b) => {
-        // Calculate min distance to any anchor for each cell
-        const distA = Math.min(...state.anchors.map(anchor => {
-            const pos1 = hexToPixel(a.col, a.row, 1);
-            const pos2 = hexToPixel(anchor.col, anchor.row, 1);
-            return Math.sqrt(Math.pow(pos1.x - pos2.x, 2) + Math.pow(pos1.y - pos2.y, 2));
-        }));
-        const distB = Math.min(...state.anchors.map(anchor => {
-            const pos1 = hexToPixel(b.col, b.row, 1);
-            const pos2 = hexToPixel(anchor.col, anchor.row, 1);
-            return Math.sqrt(Math.pow(pos1.x - pos2.x, 2) + Math.pow(pos1.y - pos2.y, 2));
-        }));
-        return distA - distB;
-    });
-    
-    // Assign colors
-    for (const { row, col, idx, idealColor } of idealColors) {
-        // Skip locked cells
-        if (state.grid[idx].locked) {
-            continue;
-        }
-        
-        if (!idealColor) {
-            state.grid[idx].color = null;
-            state.grid[idx].colorId = null;
-            continue;
-        }
+    return {
+        kind: 'gradient',
+        cols: state.cols,
+        rows: state.rows,
+        layout: state.layout,
+        cells,
+        anchors,
+        palette: state.colors.map(c => ({ id: c.id, color: c.color })),
+        remaining: getFillableQuantities(),
+        mode: state.gradientMode,
+        power: state.gradientPower,
+        softness: state.gradientSoftness * Math.sqrt(3), // hexes to size-1 units, like anchor radius
+        axis,
+        assignment: state.gradientAssignment,
+        dither: state.gradientDither,
+        ditherIntensity: state.ditherIntensity,
+        ditherAlgorithm: state.ditherAlgorithm,
+        ditherSeed: state.ditherSeed
+    };
+}
+
+/**
+ * Compute gradient colors for the cells of a job (runs inside the worker)
+ * Returns {colorIds: colorId or null per job cell, stats, greedyStats}
+ */
+function computeGradient(job, onProgress) {
+    const { cells, anchors } = job;
+    const palette = job.palette.map(p => ({ id: p.id, color: p.color, lab: hexToLab(p.color) }));
+    
+    // Share of the progress bar used by step 1
+    const idealShare = 0.3;
+    
+    // Step 1: Calculate ideal color for each cell based on anchor distances
+    // Each anchor distance is computed once and reused for blending and ordering
+    const targets = [];
+    const stops = buildGradientStops(job);
+    const random = createRandom(job.ditherSeed);
+    
+    cells.forEach((cell, i) => {
+        const dists = anchors.map(anchor => Math.sqrt(Math.pow(cell.x - anchor.x, 2) + Math.pow(cell.y - anchor.y, 2)));
+        const minDist = Math.min(...dists);
         
-        // Find closest available color using perceptual LAB distance
-        let bestColorId = null;
-        let bestDistance = Infinity;
+        let idealColor = gradientColorAt(job, cell, dists, stops);
         
-        for (const colorObj of state.colors) {
-            if (remaining[colorObj.id] <= 0) continue;
-            
-            const dist = colorDistanceLab(idealColor, colorObj.color);
-            if (dist < bestDistance) {
-                bestDistance = dist;
-                bestColorId = colorObj.id;
+        // Apply noise dither if enabled (seeded, so the same seed gives the same result)
+        if (job.dither && job.ditherAlgorithm === 'noise' && idealColor) {
+            const rgb = hexToRgb(idealColor);
+            if (rgb) {
+                const lab = rgbToLab(rgb.r, rgb.g, rgb.b);
+                
+                // Add random noise to LAB values (perceptually uniform)
+                // Scale noise by dither intensity
+                const noise = job.ditherIntensity;
+                lab.L += (random() - 0.5) * noise * 2;
+                lab.a += (random() - 0.5) * noise;
+                lab.b += (random() - 0.5) * noise;
+                
+                // Clamp LAB values to valid ranges
+                lab.L = Math.max(0, Math.min(100, lab.L));
+                // a and b typically range -128 to 127, but we don't strictly clamp
+                
+                const ditheredRgb = labToRgb(lab.L, lab.a, lab.b);
+                idealColor = rgbToHex(ditheredRgb.r, ditheredRgb.g, ditheredRgb.b);
             }
         }
         
-        if (bestColorId !== null) {
-            const colorObj = state.colors.find(c => c.id === bestColorId);
-            state.grid[idx].color = colorObj.color;
-            state.grid[idx].colorId = bestColorId;
-            remaining[bestColorId]--;
-        } else {
-            // No colors available, leave empty
-            state.grid[idx].color = null;
-            state.grid[idx].colorId = null;
+        if (idealColor) {
+            targets.push({ index: i, lab: hexToLab(idealColor), minDist });
         }
-    }
+        
+        if (i % 500 === 0) {
+            onProgress(idealShare * i / cells.length);
+        }
+    });
     
-    console.timeEnd('Gradient generation');
+    // Step 2: Assign actual colors from palette, respecting quantities
+    const { result, greedy } = quantizeTargets(job, targets, palette, (done) => {
+        onProgress(idealShare + (1 - idealShare) * done / targets.length);
+    });
     
-    renderGrid();
-    updateColorCounts();
-    setStatus(`Gradient generated from ${state.anchors.length} anchor points`);
+    // Cells without an ideal color, or with no fabric left, stay empty
+    const colorIds = new Array(cells.length).fill(null);
+    targets.forEach((target, i) => {
+        const paletteIdx = result.assignment[i];
+        colorIds[target.index] = paletteIdx === -1 ? null : palette[paletteIdx].id;
+    });
+    
+    const stats = ({ totalError, maxError, unfilled }) => ({ totalError, maxError, unfilled });
+    return {
+        colorIds,
+        stats: stats(result),
+        greedyStats: result === greedy ? null : stats(greedy)
+    };
 }
 
-// ============================================================================
-// Event Handlers
-// ============================================================================
-
-function handleHexClick(row, col) {
-    switch (state.tool) {
-        case 'paint':
-            handlePaint(row, col);
-            break;
-        case 'swap':
-            handleSwap(row, col);
-            break;
-        case 'anchor':
-            handleAnchor(row, col);
-            break;
-        case 'lock':
-            handleLock(row, col);
-            break;
-        case 'erase':
-            handleErase(row, col);
-            break;
-    }
+/**
+ * Assign palette colors to the sampled image colors of a conversion job
+ * (job.targets, {index, lab, minDist}) respecting quantities
+ * Returns {colorIds: colorId or null per job cell, stats}
+ */
+function computeConversion(job, onProgress) {
+    const palette = job.palette.map(p => ({ id: p.id, color: p.color, lab: hexToLab(p.color) }));
+    const { targets } = job;
+    const { result } = quantizeTargets(job, targets, palette, (done) => onProgress(done / targets.length));
+    
+    const colorIds = new Array(job.cells.length).fill(null);
+    targets.forEach((target, i) => {
+        const paletteIdx = result.assignment[i];
+        colorIds[target.index] = paletteIdx === -1 ? null : palette[paletteIdx].id;
+    });
+    
+    const { totalError, maxError, unfilled } = result;
+    return { colorIds, stats: { totalError, maxError, unfilled } };
 }
 
-function handlePaint(row, col, skipHistory = false) {
-    if (state.selectedColorId === null) {
-        setStatus('Select a color first');
-        return false;
+/**
+ * Assign palette colors to targets ({index, lab, minDist}) respecting quantities.
+ * Error diffusion quantizes in scan order; otherwise cells are assigned greedily
+ * or optimally (job.assignment). Returns {result, greedy}.
+ */
+function quantizeTargets(job, targets, palette, onProgress) {
+    if (job.dither && job.ditherAlgorithm === 'diffusion') {
+        const result = assignColorsDiffused(job, targets, palette);
+        return { result, greedy: result };
     }
     
-    const colorObj = state.colors.find(c => c.id === state.selectedColorId);
+    // Sort cells by how "certain" their color assignment is (closest to an anchor first)
+    targets.sort((a, b) => a.minDist - b.minDist);
     
-    if (!skipHistory) {
-        saveToHistory();
-    }
+    const greedy = assignColorsGreedy(targets, palette, job.remaining);
+    const result = job.assignment === 'optimal'
+        ? assignColorsOptimal(targets, palette, job.remaining, onProgress)
+        : greedy;
     
-    // Get all hexes in brush radius
-    const hexes = getHexesInRadius(row, col, state.brushSize - 1);
-    let painted = false;
+    return { result, greedy };
+}
+
+/**
+ * Error-diffusion dithering: Floyd–Steinberg adapted to the hex lattice.
+ * Cells are quantized in serpentine row order to the closest color with fabric
+ * left, and each cell's LAB error is pushed to the neighbors not yet visited,
+ * weighted by their angle from the scan direction. For pointy-top layouts that
+ * is 7/16 to the next hex in the row, 6/16 to the hex below-ahead and 3/16 to
+ * the hex below-behind. Dither intensity scales how much error is carried.
+ */
+function assignColorsDiffused(job, targets, palette) {
+    const targetAt = new Map();
+    targets.forEach((target, i) => targetAt.set(job.cells[target.index].idx, i));
     
-    for (const { row: r, col: c } of hexes) {
-        const cell = getCell(r, c);
-        if (!cell) continue;
-        
-        // Skip if already this color
-        if (cell.colorId === state.selectedColorId) continue;
-        
-        // Check if we have remaining quantity
-        const currentUsage = countColorUsage(state.selectedColorId);
-        if (currentUsage >= colorObj.total) {
-            if (!painted) {
-                setStatus(`No more ${colorObj.color} (#${colorObj.id}) available`);
-            }
-            break;
-        }
-        
-        setCell(r, c, state.selectedColorId);
-        painted = true;
-    }
+    const error = targets.map(() => ({ L: 0, a: 0, b: 0 }));
+    const left = palette.map(p => Math.max(0, job.remaining[p.id] || 0));
+    const assignment = new Int32Array(targets.length).fill(-1);
+    const carry = Math.min(1, job.ditherIntensity / 10);
     
-    if (painted) {
-        renderGrid();
-        updateColorCounts();
+    for (let row = 0; row < job.rows; row++) {
+        const dir = row % 2 === 0 ? 1 : -1;
+        
+        for (let step = 0; step < job.cols; step++) {
+            const col = dir === 1 ? step : job.cols - 1 - step;
+            const i = targetAt.get(row * job.cols + col);
+            if (i === undefined) continue;
+            
+            const lab = {
+                L: targets[i].lab.L + error[i].L,
+                a: targets[i].lab.a + error[i].a,
+                b: targets[i].lab.b + error[i].b
+            };
+            
+            let bestIdx = -1;
+            let bestDistance = Infinity;
+            palette.forEach((p, paletteIdx) => {
+                if (left[paletteIdx] <= 0) return;
+                
+                const dist = labDistance(lab, p.lab);
+                if (dist < bestDistance) {
+                    bestDistance = dist;
+                    bestIdx = paletteIdx;
+                }
+            });
+            if (bestIdx === -1) continue;
+            
+            assignment[i] = bestIdx;
+            left[bestIdx]--;
+            
+            const spread = diffusionNeighbors(row, col, dir, job.layout);
+            
+            const chosen = palette[bestIdx].lab;
+            for (const { row: r, col: c, weight } of spread) {
+                if (r >= job.rows || c < 0 || c >= job.cols) continue;
+                
+                const j = targetAt.get(r * job.cols + c);
+                if (j === undefined) continue;
+                
+                error[j].L += (lab.L - chosen.L) * weight * carry;
+                error[j].a += (lab.a - chosen.a) * weight * carry;
+                error[j].b += (lab.b - chosen.b) * weight * carry;
+            }
+        }
     }
     
-    return painted;
+    return summarizeAssignment(targets, palette, assignment);
 }
 
-function handleSwap(row, col) {
-    if (state.swapSource === null) {
-        // First click - select source
-        state.swapSource = { row, col };
-        renderGrid();
-        setStatus('Click another hex to swap');
-    } else {
-        // Second click - perform swap
-        const src = state.swapSource;
-        const srcCell = getCell(src.row, src.col);
-        const dstCell = getCell(row, col);
-        
-        // Don't swap with self
-        if (src.row === row && src.col === col) {
-            state.swapSource = null;
-            renderGrid();
-            setStatus('Swap cancelled');
-            return;
-        }
-        
-        saveToHistory();
-        
-        // Swap
-        const srcData = { color: srcCell.color, colorId: srcCell.colorId };
-        srcCell.color = dstCell.color;
-        srcCell.colorId = dstCell.colorId;
-        dstCell.color = srcData.color;
-        dstCell.colorId = srcData.colorId;
-        
-        state.swapSource = null;
-        renderGrid();
-        setStatus('Hexes swapped');
+/**
+ * Error diffusion weights by angle (degrees) between the scan direction and
+ * an unvisited neighbor, covering pointy-top (0, 60, 120) and flat-top
+ * (-30, 30, 90, 150) lattices
+ */
+const DIFFUSION_WEIGHTS = { '-30': 5, '0': 7, '30': 6, '60': 6, '90': 4, '120': 3, '150': 2 };
+
+/**
+ * Neighbors of a hex not yet visited by a serpentine scan moving in
+ * direction dir (1 = right, -1 = left), with weights summing to 1
+ */
+function diffusionNeighbors(row, col, dir, layout) {
+    const offset = isFlatTop(layout) ? 30 : 0;
+    const spread = offsetNeighbors(row, col, layout)
+        .map((neighbor, i) => {
+            // Direction i points 60i degrees clockwise from the +x axis (plus 30 for flat-top)
+            const angle = 60 * i + offset;
+            const relative = dir === 1 ? angle : 180 - angle;
+            const normalized = ((relative + 180) % 360 + 360) % 360 - 180;
+            return { ...neighbor, weight: DIFFUSION_WEIGHTS[normalized] || 0 };
+        })
+        .filter(n => n.weight > 0 && (n.row > row || (n.row === row && (n.col - col) * dir > 0)));
+    
+    const total = spread.reduce((sum, n) => sum + n.weight, 0);
+    spread.forEach(n => { n.weight /= total; });
+    return spread;
+}
+
+/**
+ * Seeded pseudo-random number generator (mulberry32), returns floats in [0, 1)
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Color stops for linear/radial modes: each anchor's position along the axis
+ * (or distance from the center), sorted. Empty for the distance-weighted modes.
+ */
+function buildGradientStops(job) {
+    if (job.mode !== 'linear' && job.mode !== 'radial') return [];
+    
+    // Anchors with a radius are local accents, not stops
+    const stops = job.anchors.filter(anchor => anchor.radius <= 0).map(anchor => ({
+        t: gradientParameter(job, anchor),
+        color: anchor.color
+    }));
+    stops.sort((a, b) => a.t - b.t);
+    return stops;
+}
+
+/**
+ * Position of a point along the gradient axis (linear) or its distance from the center (radial)
+ */
+function gradientParameter(job, point) {
+    const { start, end } = job.axis;
+    if (job.mode === 'radial') {
+        return Math.sqrt(Math.pow(point.x - start.x, 2) + Math.pow(point.y - start.y, 2));
     }
+    
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSq = dx * dx + dy * dy;
+    if (lengthSq === 0) return 0;
+    return ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSq;
 }
 
-function handleAnchor(row, col) {
-    if (state.selectedColorId === null) {
-        setStatus('Select a color first');
-        return;
+/**
+ * Ideal (unquantized) color of a cell for the job's gradient mode
+ * - idw: inverse-distance weighting with adjustable power
+ * - nearest: color of the nearest anchor, blended with others within the edge softness
+ * - linear/radial: interpolate between the anchor stops along the axis
+ * Anchor strength scales each anchor's pull; an anchor with a radius only
+ * affects cells within it (and acts as a local accent in linear/radial modes).
+ */
+function gradientColorAt(job, cell, dists, stops) {
+    const { anchors } = job;
+    
+    if (job.mode === 'linear' || job.mode === 'radial') {
+        let color = stops.length > 0 ? interpolateStops(stops, gradientParameter(job, cell)) : null;
+        
+        anchors.forEach((anchor, i) => {
+            if (anchor.radius <= 0) return;
+            
+            const weight = Math.min(1, anchor.strength * anchorFalloff(anchor, dists[i]));
+            if (weight <= 0) return;
+            
+            color = color
+                ? blendColors([{ color, weight: 1 - weight }, { color: anchor.color, weight }])
+                : anchor.color;
+        });
+        return color;
     }
     
-    // Check if anchor already exists at this position
-    const existingIdx = state.anchors.findIndex(a => a.row === row && a.col === col);
+    if (job.mode === 'nearest') {
+        // Stronger anchors claim larger regions; anchors don't reach past their radius
+        const effective = anchors.map((anchor, i) => {
+            return anchorFalloff(anchor, dists[i]) > 0 ? dists[i] / anchor.strength : Infinity;
+        });
+        const minDist = Math.min(...effective);
+        if (minDist === Infinity) return null;
+        
+        // Anchors further than the nearest one by more than the softness get no weight
+        const colorWeights = anchors.map((anchor, i) => {
+            const excess = effective[i] - minDist;
+            const weight = job.softness > 0 ? Math.max(0, 1 - excess / job.softness) : (excess === 0 ? 1 : 0);
+            return { color: anchor.color, weight };
+        });
+        return blendColors(colorWeights);
+    }
     
-    if (existingIdx !== -1) {
-        // Toggle off if same color, update if different
-        if (state.anchors[existingIdx].colorId === state.selectedColorId) {
-            state.anchors.splice(existingIdx, 1);
-            setStatus('Anchor removed');
-        } else {
-            state.anchors[existingIdx].colorId = state.selectedColorId;
-            setStatus('Anchor updated');
+    // Inverse distance weighting
+    // Higher power = faster falloff = less influence from distant anchors
+    const colorWeights = anchors.map((anchor, i) => ({
+        color: anchor.color,
+        weight: anchor.strength * anchorFalloff(anchor, dists[i]) / (Math.pow(dists[i], job.power) + 0.01)
+    }));
+    return blendColors(colorWeights);
+}
+
+/**
+ * Interpolate between sorted color stops at parameter t
+ */
+function interpolateStops(stops, t) {
+    if (t <= stops[0].t) return stops[0].color;
+    
+    for (let i = 1; i < stops.length; i++) {
+        if (t <= stops[i].t) {
+            const span = stops[i].t - stops[i - 1].t;
+            const f = span > 0 ? (t - stops[i - 1].t) / span : 1;
+            return blendColors([
+                { color: stops[i - 1].color, weight: 1 - f },
+                { color: stops[i].color, weight: f }
+            ]);
         }
-    } else {
-        // Add new anchor
-        state.anchors.push({ row, col, colorId: state.selectedColorId });
-        setStatus(`Anchor added (${state.anchors.length} total)`);
     }
-    
-    renderGrid();
+    return stops[stops.length - 1].color;
 }
 
-function handleLock(row, col) {
-    const cell = getCell(row, col);
-    
-    saveToHistory();
-    cell.locked = !cell.locked;
-    
-    renderGrid();
-    setStatus(cell.locked ? 'Hex locked' : 'Hex unlocked');
+/**
+ * Falloff factor (0-1) of an anchor at a distance; anchors without a radius reach everywhere
+ */
+function anchorFalloff(anchor, dist) {
+    if (anchor.radius <= 0) return 1;
+    return Math.pow(Math.max(0, 1 - dist / anchor.radius), 2);
 }
 
-function handleErase(row, col, skipHistory = false) {
-    if (!skipHistory) {
-        saveToHistory();
+/**
+ * Apply a finished gradient to the grid as one history step
+ */
+function applyGradientResult(job, result, elapsed) {
+    if (job.cols !== state.cols || job.rows !== state.rows) {
+        setStatus('Grid changed while generating; gradient discarded');
+        return;
     }
     
-    // Get all hexes in brush radius
-    const hexes = getHexesInRadius(row, col, state.brushSize - 1);
-    let erased = false;
-    let anchorsErased = 0;
+    saveToHistory();
     
-    for (const { row: r, col: c } of hexes) {
-        const cell = getCell(r, c);
-        if (!cell) continue;
-        
-        // Check if there's an anchor at this position
-        const anchorIdx = state.anchors.findIndex(a => a.row === r && a.col === c);
-        
-        // Skip if nothing to erase
-        if (cell.color === null && cell.colorId === null && anchorIdx === -1) {
-            continue;
-        }
-        
-        cell.color = null;
-        cell.colorId = null;
-        
-        // Remove anchor if present
-        if (anchorIdx !== -1) {
-            state.anchors.splice(anchorIdx, 1);
-            anchorsErased++;
-        }
+    job.cells.forEach(({ idx }, i) => {
+        const cell = state.grid[idx];
+        // Respect cells locked or masked while the gradient was running
+        if (cell.locked || cell.masked) return;
         
-        erased = true;
+        const colorObj = state.colors.find(c => c.id === result.colorIds[i]);
+        cell.color = colorObj ? colorObj.color : null;
+        cell.colorId = colorObj ? colorObj.id : null;
+    });
+    
+    renderGrid();
+    updateColorCounts();
+    scheduleAutosave();
+    
+    let message = `Gradient generated from ${job.anchors.length} anchor points in ${(elapsed / 1000).toFixed(1)}s · ${formatAssignmentError(result.stats)}`;
+    if (result.greedyStats) {
+        message += ` (greedy: ${formatAssignmentError(result.greedyStats)})`;
     }
+    setStatus(message);
+}
+
+/**
+ * Stop the running gradient worker without applying anything
+ */
+function cancelGradient() {
+    if (!state.gradientJob) return;
     
-    if (erased) {
-        renderGrid();
-        updateColorCounts();
-        if (!skipHistory) {
-            if (anchorsErased > 0) {
-                setStatus(`Erased hexes and ${anchorsErased} anchor${anchorsErased > 1 ? 's' : ''}`);
-            } else {
-                setStatus('Hexes erased');
-            }
-        }
+    const { kind } = state.gradientJob;
+    finishGradientJob();
+    setStatus(kind === 'convert' ? 'Image conversion cancelled' : 'Gradient cancelled');
+}
+
+/**
+ * Tear down the running gradient job and hide the progress indicator
+ */
+function finishGradientJob() {
+    const job = state.gradientJob;
+    if (job && job.worker) {
+        job.worker.terminate();
+        URL.revokeObjectURL(job.url);
     }
+    state.gradientJob = null;
     
-    return erased;
+    document.getElementById('gradient-progress').classList.remove('visible');
+    document.getElementById('generate-gradient').disabled = false;
 }
 
-function setStatus(message) {
-    document.getElementById('status-message').textContent = message;
+/**
+ * Show gradient progress (fraction 0-1)
+ */
+function showGradientProgress(fraction) {
+    document.getElementById('gradient-progress').classList.add('visible');
+    document.getElementById('gradient-progress-bar').value = fraction;
+    document.getElementById('generate-gradient').disabled = true;
 }
 
 /**
- * Update the tool hint text based on current tool
+ * Functions the gradient worker needs, serialized into its source
  */
-function updateToolHint() {
-    const hintEl = document.getElementById('tool-hint');
-    if (!hintEl) return;
-    
-    const brushNote = state.brushSize > 1 ? ` (brush size: ${state.brushSize})` : '';
-    
-    const hints = {
-        paint: `💡 Click or drag to paint${brushNote}`,
-        swap: '🔄 Click two hexes to swap their colors',
-        anchor: '📍 Click a hex to place an anchor for gradient',
-        lock: '🔒 Click a hex to lock/unlock it (prevents gradient changes)',
-        erase: `🧹 Click or drag to erase${brushNote}`
+const GRADIENT_WORKER_FUNCTIONS = [
+    hexToRgb, rgbToHex, rgbToXyz, xyzToLab, labToXyz, xyzToRgb, rgbToLab, labToRgb,
+    hexToLab, labDistance, blendColors,
+    isFlatTop, offsetToCube, cubeToOffset, offsetNeighbors,
+    computeJob, computeGradient, computeConversion, quantizeTargets, assignColorsDiffused, diffusionNeighbors, createRandom, buildGradientStops, gradientParameter, gradientColorAt, interpolateStops, anchorFalloff,
+    assignColorsGreedy, assignColorsOptimal, summarizeAssignment,
+    heapPush, heapPop
+];
+
+/**
+ * Build the worker script from the shared functions so the app stays a single
+ * file and works when opened directly from disk
+ */
+function buildGradientWorkerSource() {
+    const onMessage = function(e) {
+        const result = computeJob(e.data, (fraction) => {
+            self.postMessage({ type: 'progress', fraction });
+        });
+        self.postMessage({ type: 'result', ...result });
     };
     
-    hintEl.textContent = hints[state.tool] || '💡 Select a tool and click hexes';
+    return [
+        ...GRADIENT_WORKER_FUNCTIONS.map(fn => fn.toString()),
+        `const HEX_DIRECTIONS = ${JSON.stringify(HEX_DIRECTIONS)};`,
+        `const DIFFUSION_WEIGHTS = ${JSON.stringify(DIFFUSION_WEIGHTS)};`,
+        `const UNFILLED_COST = ${UNFILLED_COST};`,
+        `self.onmessage = ${onMessage.toString()};`
+    ].join('\n\n');
 }
 
 /**
- * Update mini brush button active state
+ * Palette colors with precomputed LAB values for assignment
  */
-function updateMiniBrushButtons() {
-    document.querySelectorAll('.btn-mini-brush').forEach(btn => {
-        btn.classList.toggle('active', parseInt(btn.dataset.size) === state.brushSize);
-    });
+function getPaletteLab() {
+    return state.colors.map(colorObj => ({
+        id: colorObj.id,
+        color: colorObj.color,
+        lab: hexToLab(colorObj.color)
+    }));
 }
 
 /**
- * Update mini brush selector visibility based on current tool
+ * Remaining quantity per color id after subtracting locked cells,
+ * since the fill never changes locked cells but they still use fabric
  */
-function updateMiniBrushSelectorVisibility() {
-    const brushSelector = document.getElementById('mini-brush-selector');
-    if (state.tool === 'paint' || state.tool === 'erase') {
-        brushSelector.classList.add('visible');
-    } else {
-        brushSelector.classList.remove('visible');
+function getFillableQuantities() {
+    const remaining = {};
+    for (const colorObj of state.colors) {
+        remaining[colorObj.id] = colorObj.total;
+    }
+    for (const cell of state.grid) {
+        if (cell.locked && cell.colorId !== null && remaining[cell.colorId] !== undefined) {
+            remaining[cell.colorId]--;
+        }
     }
+    return remaining;
 }
 
 /**
- * Update mini color selector selection state
+ * Greedy assignment: each cell in order takes the closest color with fabric left.
+ * Fast, but cells processed last get whatever is left over.
+ * Returns {assignment: palette index per cell (-1 = empty), totalError, maxError, unfilled}
  */
-function updateMiniColorSelection() {
-    document.querySelectorAll('.mini-color-item').forEach(el => {
-        const colorId = parseInt(el.dataset.colorId);
-        el.classList.toggle('selected', colorId === state.selectedColorId);
+function assignColorsGreedy(cells, palette, remaining) {
+    const left = palette.map(p => Math.max(0, remaining[p.id] || 0));
+    const assignment = new Int32Array(cells.length).fill(-1);
+    
+    cells.forEach((cell, i) => {
+        let bestIdx = -1;
+        let bestDistance = Infinity;
+        
+        palette.forEach((p, paletteIdx) => {
+            if (left[paletteIdx] <= 0) return;
+            
+            const dist = labDistance(cell.lab, p.lab);
+            if (dist < bestDistance) {
+                bestDistance = dist;
+                bestIdx = paletteIdx;
+            }
+        });
+        
+        if (bestIdx !== -1) {
+            assignment[i] = bestIdx;
+            left[bestIdx]--;
+        }
     });
+    
+    return summarizeAssignment(cells, palette, assignment);
 }
 
-// ============================================================================
-// Export Functions
-// ============================================================================
+// Cost of leaving a cell empty; far above any LAB distance so every
+// available hex is used before a cell is left unfilled
+const UNFILLED_COST = 1e6;
 
 /**
- * Export grid as PNG image with options
+ * Optimal assignment: min-cost matching between cells and the available hex
+ * counts, minimizing the total LAB distance across the whole quilt.
+ *
+ * Cells are added one at a time and routed along the cheapest augmenting path
+ * through the palette colors (successive shortest paths). Moving a cell from
+ * color a to color b costs cost(b) - cost(a); the cheapest such cell for each
+ * (a, b) pair is kept in a heap so a path search only touches K² edges.
+ * An extra "empty" slot with unlimited capacity absorbs cells when fabric runs out.
+ * onProgress (optional) is called with the number of cells placed so far.
  */
-function exportPNG() {
-    // Get export options
-    const showGrid = document.getElementById('export-show-grid').checked;
-    const showNumbers = document.getElementById('export-show-numbers').checked;
-    const hideColors = document.getElementById('export-hide-colors').checked;
-    
-    // Create a clone of the SVG for export
-    const svg = document.getElementById('hex-grid');
-    const svgClone = svg.cloneNode(true);
+function assignColorsOptimal(cells, palette, remaining, onProgress) {
+    const n = cells.length;
+    const k = palette.length;
+    const nodes = k + 1; // palette colors + empty slot
+    const emptySlot = k;
+    
+    const capacity = palette.map(p => Math.max(0, remaining[p.id] || 0));
+    capacity.push(n);
+    
+    const cost = new Float64Array(n * nodes);
+    for (let i = 0; i < n; i++) {
+        for (let c = 0; c < k; c++) {
+            cost[i * nodes + c] = labDistance(cells[i].lab, palette[c].lab);
+        }
+        cost[i * nodes + emptySlot] = UNFILLED_COST;
+    }
     
-    // Ensure proper SVG namespace (Firefox requirement)
-    svgClone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    const slotOf = new Int32Array(n).fill(-1);
     
-    const hexes = svgClone.querySelectorAll('.hex');
-    const anchorMarkers = svgClone.querySelectorAll('.anchor-marker');
-    const lockIndicators = svgClone.querySelectorAll('.lock-indicator');
+    // heaps[a * nodes + b]: cells in slot a, keyed by the cost of moving them to b
+    const heaps = [];
+    for (let i = 0; i < nodes * nodes; i++) heaps.push([]);
     
-    // Apply hex styles
-    hexes.forEach(hex => {
-        if (hideColors) {
-            // White fill
-            hex.setAttribute('fill', '#ffffff');
-        } else {
-            // Keep the color fill
-            const fill = hex.getAttribute('fill');
-            if (fill && fill !== 'none') {
-                hex.setAttribute('fill', fill);
-            }
+    const placeCell = (i, slot) => {
+        slotOf[i] = slot;
+        for (let b = 0; b < nodes; b++) {
+            if (b === slot) continue;
+            heapPush(heaps[slot * nodes + b], cost[i * nodes + b] - cost[i * nodes + slot], i);
         }
-        
-        // Remove stroke from hexes (grid lines will be drawn separately if needed)
-        hex.setAttribute('stroke', 'none');
-    });
+    };
     
-    // Add grid lines as separate elements in gaps between hexes
-    if (showGrid) {
-        const gridGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        gridGroup.setAttribute('id', 'export-grid-lines');
-        
-        // Helper to check if a neighbor exists
-        const hasNeighbor = (row, col) => {
-            return row >= 0 && row < state.rows && col >= 0 && col < state.cols;
-        };
+    const edgeKey = new Float64Array(nodes * nodes);
+    const edgeCell = new Int32Array(nodes * nodes);
+    const dist = new Float64Array(nodes);
+    const pred = new Int32Array(nodes);
+    const via = new Int32Array(nodes);
+    
+    for (let u = 0; u < n; u++) {
+        if (onProgress && u % 200 === 0) {
+            onProgress(u);
+        }
         
-        for (let row = 0; row < state.rows; row++) {
-            for (let col = 0; col < state.cols; col++) {
-                const { x, y } = hexToPixel(col, row, state.hexSize);
-                const width = Math.sqrt(3) * state.hexSize;
-                const height = state.hexSize;
+        // Cheapest move for each slot pair, dropping cells that have since moved
+        for (let a = 0; a < nodes; a++) {
+            for (let b = 0; b < nodes; b++) {
+                const e = a * nodes + b;
+                edgeCell[e] = -1;
+                if (a === b) continue;
                 
-                // Get neighbor positions based on odd/even row
-                const isOddRow = row % 2 === 1;
-                const neighbors = {
-                    right: [row, col + 1],
-                    left: [row, col - 1],
-                    topRight: [row - 1, isOddRow ? col + 1 : col],
-                    topLeft: [row - 1, isOddRow ? col : col - 1],
-                    bottomRight: [row + 1, isOddRow ? col + 1 : col],
-                    bottomLeft: [row + 1, isOddRow ? col : col - 1]
-                };
-                
-                // Draw each edge only if there's no neighbor on that side (exterior)
-                // OR if we're using the standard interior drawing pattern
-                
-                // Top-right edge
-                if (!hasNeighbor(...neighbors.topRight)) {
-                    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-                    line.setAttribute('x1', x);
-                    line.setAttribute('y1', y - height);
-                    line.setAttribute('x2', x + width / 2);
-                    line.setAttribute('y2', y - height / 2);
-                    line.setAttribute('stroke', '#000000');
-                    line.setAttribute('stroke-width', '1');
-                    gridGroup.appendChild(line);
-                }
-                
-                // Right edge
-                if (!hasNeighbor(...neighbors.right) || col < state.cols - 1) {
-                    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-                    line.setAttribute('x1', x + width / 2);
-                    line.setAttribute('y1', y - height / 2);
-                    line.setAttribute('x2', x + width / 2);
-                    line.setAttribute('y2', y + height / 2);
-                    line.setAttribute('stroke', '#000000');
-                    line.setAttribute('stroke-width', '1');
-                    gridGroup.appendChild(line);
-                }
-                
-                // Bottom-right edge
-                if (!hasNeighbor(...neighbors.bottomRight)) {
-                    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-                    line.setAttribute('x1', x + width / 2);
-                    line.setAttribute('y1', y + height / 2);
-                    line.setAttribute('x2', x);
-                    line.setAttribute('y2', y + height);
-                    line.setAttribute('stroke', '#000000');
-                    line.setAttribute('stroke-width', '1');
-                    gridGroup.appendChild(line);
-                }
-                
-                // Bottom-left edge
-                if (!hasNeighbor(...neighbors.bottomLeft)) {
-                    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-                    line.setAttribute('x1', x);
-                    line.setAttribute('y1', y + height);
-                    line.setAttribute('x2', x - width / 2);
-                    line.setAttribute('y2', y + height / 2);
-                    line.setAttribute('stroke', '#000000');
-                    line.setAttribute('stroke-width', '1');
-                    gridGroup.appendChild(line);
+                const heap = heaps[e];
+                while (heap.length > 0 && slotOf[heap[0].value] !== a) {
+                    heapPop(heap);
                 }
-                
-                // Left edge
-                if (!hasNeighbor(...neighbors.left)) {
-                    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-                    line.setAttribute('x1', x - width / 2);
-                    line.setAttribute('y1', y + height / 2);
-                    line.setAttribute('x2', x - width / 2);
-                    line.setAttribute('y2', y - height / 2);
-                    line.setAttribute('stroke', '#000000');
-                    line.setAttribute('stroke-width', '1');
-                    gridGroup.appendChild(line);
-                }
-                
-                // Top-left edge
-                if (!hasNeighbor(...neighbors.topLeft)) {
-                    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-                    line.setAttribute('x1', x - width / 2);
-                    line.setAttribute('y1', y - height / 2);
-                    line.setAttribute('x2', x);
-                    line.setAttribute('y2', y - height);
-                    line.setAttribute('stroke', '#000000');
-                    line.setAttribute('stroke-width', '1');
-                    gridGroup.appendChild(line);
-                }
-                
-                // Interior lines: bottom-right and bottom-left (to avoid duplicates)
-                if (hasNeighbor(...neighbors.bottomRight)) {
-                    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-                    line.setAttribute('x1', x + width / 2);
-                    line.setAttribute('y1', y + height / 2);
-                    line.setAttribute('x2', x);
-                    line.setAttribute('y2', y + height);
-                    line.setAttribute('stroke', '#000000');
-                    line.setAttribute('stroke-width', '1');
-                    gridGroup.appendChild(line);
-                }
-                
-                if (hasNeighbor(...neighbors.bottomLeft)) {
-                    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-                    line.setAttribute('x1', x);
-                    line.setAttribute('y1', y + height);
-                    line.setAttribute('x2', x - width / 2);
-                    line.setAttribute('y2', y + height / 2);
-                    line.setAttribute('stroke', '#000000');
-                    line.setAttribute('stroke-width', '1');
-                    gridGroup.appendChild(line);
+                if (heap.length > 0) {
+                    edgeKey[e] = heap[0].key;
+                    edgeCell[e] = heap[0].value;
                 }
             }
         }
         
-        svgClone.appendChild(gridGroup);
-    }
-    
-    // Handle numbers - create them if they don't exist
-    if (showNumbers) {
-        // First, remove any existing numbers
-        svgClone.querySelectorAll('.hex-number').forEach(num => num.remove());
-        
-        // Generate numbers for all colored cells
-        for (let row = 0; row < state.rows; row++) {
-            for (let col = 0; col < state.cols; col++) {
-                const cell = getCell(row, col);
-                if (!cell || !cell.colorId) continue;
-                
-                const { x, y } = hexToPixel(col, row, state.hexSize);
-                const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-                text.setAttribute('x', x);
-                text.setAttribute('y', y);
-                text.setAttribute('text-anchor', 'middle');
-                text.setAttribute('dominant-baseline', 'middle');
-                text.setAttribute('font-family', 'JetBrains Mono, SF Mono, monospace');
-                text.setAttribute('font-size', '10');
-                text.setAttribute('font-weight', '500');
-                text.setAttribute('pointer-events', 'none');
-                
-                // Set text color based on background
-                if (hideColors) {
-                    text.setAttribute('fill', '#000000');
-                } else {
-                    const textColor = isLightColor(cell.color) ? '#4a4540' : '#ffffff';
-                    text.setAttribute('fill', textColor);
+        // Shortest paths from the new cell (Bellman-Ford; the residual graph has no negative cycles)
+        for (let c = 0; c < nodes; c++) {
+            dist[c] = cost[u * nodes + c];
+            pred[c] = -1;
+        }
+        for (let iter = 0; iter < nodes - 1; iter++) {
+            let changed = false;
+            for (let a = 0; a < nodes; a++) {
+                for (let b = 0; b < nodes; b++) {
+                    const e = a * nodes + b;
+                    if (edgeCell[e] === -1) continue;
+                    
+                    const d = dist[a] + edgeKey[e];
+                    if (d < dist[b] - 1e-9) {
+                        dist[b] = d;
+                        pred[b] = a;
+                        via[b] = edgeCell[e];
+                        changed = true;
+                    }
                 }
-                
-                text.textContent = cell.colorId;
-                svgClone.appendChild(text);
             }
+            if (!changed) break;
         }
-    } else {
-        // Remove all numbers
-        svgClone.querySelectorAll('.hex-number').forEach(num => num.remove());
+        
+        // End the path at the cheapest slot that still has room
+        let target = emptySlot;
+        for (let c = 0; c < k; c++) {
+            if (capacity[c] > 0 && dist[c] < dist[target]) {
+                target = c;
+            }
+        }
+        capacity[target]--;
+        
+        // Shift cells along the path, then place the new cell at its start
+        let slot = target;
+        for (let steps = 0; pred[slot] !== -1 && steps < nodes; steps++) {
+            placeCell(via[slot], slot);
+            slot = pred[slot];
+        }
+        placeCell(u, slot);
+    }
+    
+    const assignment = new Int32Array(n);
+    for (let i = 0; i < n; i++) {
+        assignment[i] = slotOf[i] === emptySlot ? -1 : slotOf[i];
+    }
+    
+    return summarizeAssignment(cells, palette, assignment);
+}
+
+/**
+ * Compute total/max LAB error of an assignment
+ */
+function summarizeAssignment(cells, palette, assignment) {
+    let totalError = 0;
+    let maxError = 0;
+    let unfilled = 0;
+    
+    cells.forEach((cell, i) => {
+        if (assignment[i] === -1) {
+            unfilled++;
+            return;
+        }
+        const error = labDistance(cell.lab, palette[assignment[i]].lab);
+        totalError += error;
+        maxError = Math.max(maxError, error);
+    });
+    
+    return { assignment, totalError, maxError, unfilled };
+}
+
+/**
+ * Format assignment error for the status bar
+ */
+function formatAssignmentError(result) {
+    let text = `ΔE total ${result.totalError.toFixed(0)}, max ${result.maxError.toFixed(1)}`;
+    if (result.unfilled > 0) {
+        text += `, ${result.unfilled} unfilled`;
+    }
+    return text;
+}
+
+/**
+ * Push onto a binary min-heap of {key, value}
+ */
+function heapPush(heap, key, value) {
+    heap.push({ key, value });
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent].key <= heap[i].key) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+}
+
+/**
+ * Pop the smallest entry from a binary min-heap
+ */
+function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && heap[left].key < heap[smallest].key) smallest = left;
+            if (right < heap.length && heap[right].key < heap[smallest].key) smallest = right;
+            if (smallest === i) break;
+            [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+            i = smallest;
+        }
+    }
+    return top;
+}
+
+// ============================================================================
+// Event Handlers
+// ============================================================================
+
+function handleHexClick(row, col) {
+    switch (state.tool) {
+        case 'paint':
+            handlePaint(row, col);
+            break;
+        case 'swap':
+            handleSwap(row, col);
+            break;
+        case 'anchor':
+            handleAnchor(row, col);
+            break;
+        case 'lock':
+            handleLock(row, col);
+            break;
+        case 'erase':
+            handleErase(row, col);
+            break;
+        case 'fill':
+            handleFill(row, col);
+            break;
+        case 'stamp':
+            handleStamp(row, col);
+            break;
+    }
+}
+
+function handlePaint(row, col, skipHistory = false) {
+    if (state.selectedColorId === null) {
+        setStatus('Select a color first');
+        return false;
+    }
+    
+    const colorObj = state.colors.find(c => c.id === state.selectedColorId);
+    
+    if (!skipHistory) {
+        saveToHistory();
+    }
+    
+    // Get all hexes in brush radius, at every symmetric position
+    const hexes = getBrushHexes(row, col);
+    let painted = false;
+    
+    for (const { row: r, col: c } of hexes) {
+        const cell = getCell(r, c);
+        if (!cell || cell.masked) continue;
+        
+        // Skip if already this color
+        if (cell.colorId === state.selectedColorId) continue;
+        
+        // Check if we have remaining quantity
+        const currentUsage = countColorUsage(state.selectedColorId);
+        if (currentUsage >= colorObj.total) {
+            if (!painted) {
+                setStatus(`No more ${colorObj.color} (#${colorObj.id}) available`);
+            }
+            break;
+        }
+        
+        setCell(r, c, state.selectedColorId);
+        painted = true;
+    }
+    
+    if (painted) {
+        renderGrid();
+        updateColorCounts();
+    }
+    
+    return painted;
+}
+
+/**
+ * Fill with the selected color: the contiguous region of same-colored (or
+ * empty) hexes around the clicked one, or in global mode every hex of that
+ * color. Locked hexes are kept and stop a contiguous fill. Hexes nearest the
+ * click are filled first, stopping when the fabric runs out. One undo step.
+ */
+function handleFill(row, col) {
+    if (state.selectedColorId === null) {
+        setStatus('Select a color first');
+        return false;
+    }
+    
+    const start = getCell(row, col);
+    if (!start || start.masked) return false;
+    if (start.locked && state.fillMode === 'contiguous') {
+        setStatus('Hex is locked — unlock it to fill from here');
+        return false;
+    }
+    
+    const colorObj = state.colors.find(c => c.id === state.selectedColorId);
+    const target = start.colorId;
+    if (target === state.selectedColorId) {
+        setStatus(`Already ${colorObj.color} (#${colorObj.id})`);
+        return false;
+    }
+    
+    const cells = state.fillMode === 'global' ? findColorCells(target) : findFillRegion(row, col);
+    if (state.fillMode === 'global') {
+        cells.sort((a, b) => hexDistance(row, col, a.row, a.col) - hexDistance(row, col, b.row, b.col));
+    }
+    let usage = countColorUsage(colorObj.id);
+    if (usage >= colorObj.total) {
+        setStatus(`No more ${colorObj.color} (#${colorObj.id}) available`);
+        return false;
+    }
+    
+    saveToHistory();
+    
+    // Each hex adds at most one piece to the usage count (half hexes share a piece),
+    // so the exact count is only needed when the running estimate reaches the total
+    let filled = 0;
+    for (const cell of cells) {
+        if (usage >= colorObj.total) {
+            usage = countColorUsage(colorObj.id);
+            if (usage >= colorObj.total) break;
+        }
+        setCell(cell.row, cell.col, colorObj.id);
+        usage++;
+        filled++;
+    }
+    
+    renderGrid();
+    updateColorCounts();
+    
+    if (filled < cells.length) {
+        setStatus(`Filled ${filled} of ${cells.length} hexes — no more ${colorObj.color} (#${colorObj.id}) available`);
+    } else {
+        setStatus(`Filled ${filled} hex${filled === 1 ? '' : 'es'}`);
+    }
+    return true;
+}
+
+/**
+ * Unlocked hexes connected to (row, col) through hexes of the same color,
+ * in breadth-first order from the start
+ */
+function findFillRegion(row, col) {
+    const target = getCell(row, col).colorId;
+    const region = [{ row, col }];
+    const seen = new Set([gridIndex(row, col)]);
+    
+    for (let i = 0; i < region.length; i++) {
+        for (const neighbor of offsetNeighbors(region[i].row, region[i].col, state.layout)) {
+            const cell = getCell(neighbor.row, neighbor.col);
+            if (!cell || cell.masked || cell.locked || cell.colorId !== target) continue;
+            
+            const idx = gridIndex(neighbor.row, neighbor.col);
+            if (seen.has(idx)) continue;
+            seen.add(idx);
+            region.push(neighbor);
+        }
+    }
+    
+    return region;
+}
+
+/**
+ * Every unlocked hex of a color (null for empty hexes) in the quilt
+ */
+function findColorCells(colorId) {
+    const cells = [];
+    for (let row = 0; row < state.rows; row++) {
+        for (let col = 0; col < state.cols; col++) {
+            const cell = getCell(row, col);
+            if (!cell.masked && !cell.locked && cell.colorId === colorId) {
+                cells.push({ row, col });
+            }
+        }
+    }
+    return cells;
+}
+
+function handleSwap(row, col) {
+    if (state.swapSource === null) {
+        // First click - select source
+        state.swapSource = { row, col };
+        renderGrid();
+        setStatus('Click another hex to swap');
+    } else {
+        // Second click - perform swap
+        const src = state.swapSource;
+        const srcCell = getCell(src.row, src.col);
+        const dstCell = getCell(row, col);
+        
+        // Don't swap with self
+        if (src.row === row && src.col === col) {
+            state.swapSource = null;
+            renderGrid();
+            setStatus('Swap cancelled');
+            return;
+        }
+        
+        saveToHistory();
+        
+        // Swap
+        const srcData = { color: srcCell.color, colorId: srcCell.colorId };
+        srcCell.color = dstCell.color;
+        srcCell.colorId = dstCell.colorId;
+        dstCell.color = srcData.color;
+        dstCell.colorId = srcData.colorId;
+        
+        state.swapSource = null;
+        renderGrid();
+        setStatus('Hexes swapped');
+    }
+}
+
+function handleAnchor(row, col) {
+    if (state.selectedColorId === null) {
+        setStatus('Select a color first');
+        return;
+    }
+    
+    // Check if anchor already exists at this position
+    const existing = findAnchor(row, col);
+    const positions = getSymmetricCells(row, col);
+    const copies = positions.length > 1 ? ` at ${positions.length} symmetric positions` : '';
+    
+    if (existing && existing.colorId === state.selectedColorId) {
+        // Toggle off if same color (along with its symmetric copies)
+        state.anchors = state.anchors.filter(a => !positions.some(p => p.row === a.row && p.col === a.col));
+        setStatus(`Anchor removed${copies}`);
+    } else {
+        // Add new anchors, or update existing ones to the selected color
+        for (const p of positions) {
+            const anchor = findAnchor(p.row, p.col);
+            if (anchor) {
+                anchor.colorId = state.selectedColorId;
+            } else {
+                state.anchors.push(normalizeAnchor({ row: p.row, col: p.col, colorId: state.selectedColorId }));
+            }
+        }
+        setStatus(existing ? `Anchor updated${copies}` : `Anchor added${copies} (${state.anchors.length} total)`);
+    }
+    
+    // Edit the anchor that was just placed or recolored
+    if (findAnchor(row, col)) {
+        openAnchorEditor(row, col);
+    }
+    
+    renderGrid();
+}
+
+/**
+ * Find the anchor at row/col
+ */
+function findAnchor(row, col) {
+    return state.anchors.find(a => a.row === row && a.col === col) || null;
+}
+
+/**
+ * Fill in default strength/radius for anchors (older designs only stored position and color)
+ */
+function normalizeAnchor(anchor) {
+    return {
+        row: anchor.row,
+        col: anchor.col,
+        colorId: anchor.colorId,
+        strength: typeof anchor.strength === 'number' && anchor.strength > 0 ? anchor.strength : 1,
+        radius: typeof anchor.radius === 'number' && anchor.radius > 0 ? anchor.radius : 0
+    };
+}
+
+function handleLock(row, col) {
+    const cell = getCell(row, col);
+    
+    saveToHistory();
+    cell.locked = !cell.locked;
+    
+    renderGrid();
+    setStatus(cell.locked ? 'Hex locked' : 'Hex unlocked');
+}
+
+function handleErase(row, col, skipHistory = false) {
+    if (!skipHistory) {
+        saveToHistory();
+    }
+    
+    // Get all hexes in brush radius, at every symmetric position
+    const hexes = getBrushHexes(row, col);
+    let erased = false;
+    let anchorsErased = 0;
+    
+    for (const { row: r, col: c } of hexes) {
+        const cell = getCell(r, c);
+        if (!cell) continue;
+        
+        // Check if there's an anchor at this position
+        const anchorIdx = state.anchors.findIndex(a => a.row === r && a.col === c);
+        
+        // Skip if nothing to erase
+        if (cell.color === null && cell.colorId === null && anchorIdx === -1) {
+            continue;
+        }
+        
+        cell.color = null;
+        cell.colorId = null;
+        
+        // Remove anchor if present
+        if (anchorIdx !== -1) {
+            state.anchors.splice(anchorIdx, 1);
+            anchorsErased++;
+        }
+        
+        erased = true;
+    }
+    
+    if (erased) {
+        renderGrid();
+        updateColorCounts();
+        if (!skipHistory) {
+            if (anchorsErased > 0) {
+                setStatus(`Erased hexes and ${anchorsErased} anchor${anchorsErased > 1 ? 's' : ''}`);
+            } else {
+                setStatus('Hexes erased');
+            }
+        }
+    }
+    
+    return erased;
+}
+
+/**
+ * Mask (masked = true) or unmask hexes in the brush radius; masked hexes lose
+ * their color, lock and anchor
+ */
+function handleMask(row, col, masked, skipHistory = false) {
+    if (!skipHistory) {
+        saveToHistory();
+    }
+    
+    const hexes = getHexesInRadius(row, col, state.brushSize - 1);
+    let changed = false;
+    
+    for (const { row: r, col: c } of hexes) {
+        const cell = getCell(r, c);
+        if (!cell || Boolean(cell.masked) === masked) continue;
+        
+        // Hexes beyond the trimmed edge can't be restored
+        if (!masked && state.trimFractions && state.trimFractions[gridIndex(r, c)] === 0) continue;
+        
+        if (masked) {
+            maskCell(r, c);
+        } else {
+            cell.masked = false;
+        }
+        changed = true;
+    }
+    
+    if (changed) {
+        renderGrid();
+        updateColorCounts();
+    }
+    
+    return changed;
+}
+
+function setStatus(message) {
+    document.getElementById('status-message').textContent = message;
+}
+
+/**
+ * Update the tool hint text based on current tool
+ */
+function updateToolHint() {
+    const hintEl = document.getElementById('tool-hint');
+    if (!hintEl) return;
+    
+    const brushNote = state.brushSize > 1 ? ` (brush size: ${state.brushSize})` : '';
+    const symmetryNote = state.symmetry !== 'none'
+        ? ` · ${document.querySelector(`#symmetry-mode option[value="${state.symmetry}"]`).textContent.toLowerCase()} symmetry`
+        : '';
+    
+    const hints = {
+        paint: `💡 Click or drag to paint${brushNote}${symmetryNote}`,
+        swap: '🔄 Click two hexes to swap their colors',
+        anchor: `📍 Click a hex to place an anchor for gradient (Shift+click to edit one)${symmetryNote}`,
+        lock: '🔒 Click a hex to lock/unlock it (prevents gradient changes)',
+        erase: `🧹 Click or drag to erase${brushNote}${symmetryNote}`,
+        axis: '📐 Drag to draw the gradient axis (its start is the radial center)',
+        mask: `✂️ Click or drag to cut hexes out of the quilt shape, or start on a cut hex to restore${brushNote}`,
+        fill: state.fillMode === 'global'
+            ? '🪣 Click a hex to replace its color everywhere (locked hexes are kept)'
+            : '🪣 Click a hex to fill its connected region of the same color (locked hexes stop the fill)',
+        select: state.selectMode === 'lasso'
+            ? '⬚ Drag around hexes to select them (Shift adds), drag a selection to move it'
+            : '⬚ Drag a rectangle to select hexes (Shift adds), drag a selection to move it',
+        stamp: '🌸 Click to stamp the motif (locked hexes and used-up fabrics are skipped)',
+        line: state.lineMode === 'path'
+            ? `📏 Click to add path points, double-click or Enter to finish, Esc to cancel${brushNote}`
+            : `📏 Drag between two hexes (or click both) to draw a line${brushNote}`
+    };
+    
+    hintEl.textContent = hints[state.tool] || '💡 Select a tool and click hexes';
+}
+
+/**
+ * Enable the dither controls that apply; error diffusion assigns colors in
+ * scan order, so the fill mode doesn't apply to it
+ */
+function updateDitherControls() {
+    const enabled = state.gradientDither;
+    const noise = enabled && state.ditherAlgorithm === 'noise';
+    ['dither-intensity', 'dither-intensity-input', 'dither-algorithm'].forEach(id => {
+        document.getElementById(id).disabled = !enabled;
+    });
+    document.getElementById('dither-seed').disabled = !noise;
+    document.getElementById('dither-seed-random').disabled = !noise;
+    document.getElementById('gradient-assignment').disabled = enabled && state.ditherAlgorithm === 'diffusion';
+}
+
+/**
+ * Update all gradient controls from state (after loading a design)
+ */
+function syncGradientControls() {
+    document.getElementById('gradient-mode').value = state.gradientMode;
+    document.getElementById('gradient-power').value = state.gradientPower;
+    document.getElementById('gradient-power-input').value = state.gradientPower;
+    document.getElementById('gradient-softness').value = state.gradientSoftness;
+    document.getElementById('gradient-softness-input').value = state.gradientSoftness;
+    document.getElementById('gradient-assignment').value = state.gradientAssignment;
+    document.getElementById('gradient-dither').checked = state.gradientDither;
+    document.getElementById('dither-intensity').value = state.ditherIntensity;
+    document.getElementById('dither-intensity-input').value = state.ditherIntensity;
+    document.getElementById('dither-algorithm').value = state.ditherAlgorithm;
+    document.getElementById('dither-seed').value = state.ditherSeed;
+    updateGradientModeControls();
+    updateDitherControls();
+}
+
+/**
+ * Show only the parameter controls that apply to the selected gradient mode
+ */
+function updateGradientModeControls() {
+    document.getElementById('gradient-power-row').style.display = state.gradientMode === 'idw' ? '' : 'none';
+    document.getElementById('gradient-softness-row').style.display = state.gradientMode === 'nearest' ? '' : 'none';
+}
+
+/**
+ * Update mini brush button active state
+ */
+function updateMiniBrushButtons() {
+    document.querySelectorAll('.btn-mini-brush').forEach(btn => {
+        btn.classList.toggle('active', parseInt(btn.dataset.size) === state.brushSize);
+    });
+}
+
+/**
+ * Update mini brush selector visibility based on current tool
+ */
+function updateMiniBrushSelectorVisibility() {
+    const brushSelector = document.getElementById('mini-brush-selector');
+    if (state.tool === 'paint' || state.tool === 'erase' || state.tool === 'mask' || state.tool === 'line') {
+        brushSelector.classList.add('visible');
+    } else {
+        brushSelector.classList.remove('visible');
+    }
+    
+    // The fill mode takes the brush's place for the fill tool
+    document.getElementById('fill-mode-row').style.display = state.tool === 'fill' ? '' : 'none';
+    document.getElementById('select-options').style.display = state.tool === 'select' ? '' : 'none';
+    document.getElementById('stamp-options').style.display = state.tool === 'stamp' ? '' : 'none';
+    document.getElementById('line-mode-row').style.display = state.tool === 'line' ? '' : 'none';
+}
+
+/**
+ * Update mini color selector selection state
+ */
+function updateMiniColorSelection() {
+    document.querySelectorAll('.mini-color-item').forEach(el => {
+        const colorId = parseInt(el.dataset.colorId);
+        el.classList.toggle('selected', colorId === state.selectedColorId);
+    });
+}
+
+// ============================================================================
+// Selection and Clipboard
+// ============================================================================
+
+/**
+ * Transform cube coordinates relative to an origin hex: rotate by 60° or
+ * mirror left-right / top-bottom. Mirrors depend on the orientation, since
+ * pointy-top rows and flat-top columns run along different cube axes.
+ */
+function transformCube({ q, r, s }, transform, flatTop = isFlatTop()) {
+    switch (transform) {
+        case 'rotate-cw':
+            return { q: -r, r: -s, s: -q };
+        case 'rotate-ccw':
+            return { q: -s, r: -q, s: -r };
+        case 'mirror-h':
+            return flatTop ? { q: -q, r: -s, s: -r } : { q: s, r, s: q };
+        case 'mirror-v':
+            return flatTop ? { q, r: s, s: r } : { q: -s, r: -r, s: -q };
+    }
+    return { q, r, s };
+}
+
+/**
+ * Selected cells as {row, col}
+ */
+function getSelectedCells() {
+    return [...state.selection].map(idx => ({ row: Math.floor(idx / state.cols), col: idx % state.cols }));
+}
+
+/**
+ * The selected hex nearest the middle of the selection, used as the
+ * reference point for copying and in-place transforms
+ */
+function getSelectionOrigin(cells) {
+    const cubes = cells.map(({ row, col }) => offsetToCube(row, col, state.layout));
+    const q = cubes.reduce((sum, cube) => sum + cube.q, 0) / cubes.length;
+    const r = cubes.reduce((sum, cube) => sum + cube.r, 0) / cubes.length;
+    
+    let best = cells[0];
+    let bestDistance = Infinity;
+    cells.forEach((cell, i) => {
+        const dq = cubes[i].q - q;
+        const dr = cubes[i].r - r;
+        const distance = (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+        if (distance < bestDistance) {
+            best = cell;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+/**
+ * Colored cells as cube offsets from origin: [{q, r, s, colorId}]
+ */
+function captureCells(cells, origin) {
+    const base = offsetToCube(origin.row, origin.col, state.layout);
+    return cells
+        .filter(({ row, col }) => getCell(row, col).colorId !== null)
+        .map(({ row, col }) => {
+            const { q, r, s } = offsetToCube(row, col, state.layout);
+            return { q: q - base.q, r: r - base.r, s: s - base.s, colorId: getCell(row, col).colorId };
+        });
+}
+
+/**
+ * Place captured cells around an origin hex. Locked, cut-out and off-grid
+ * hexes are skipped, as are hexes whose fabric has run out.
+ * Returns {placed (grid indices), locked, outside, noFabric}.
+ */
+function placeCells(cells, origin) {
+    const base = offsetToCube(origin.row, origin.col, state.layout);
+    const usage = new Map();
+    const result = { placed: [], locked: 0, outside: 0, noFabric: 0 };
+    
+    for (const cell of cells) {
+        const { row, col } = cubeToOffset(base.q + cell.q, base.r + cell.r, state.layout);
+        const target = getCell(row, col);
+        if (!target || target.masked) {
+            result.outside++;
+            continue;
+        }
+        if (target.locked) {
+            result.locked++;
+            continue;
+        }
+        
+        if (target.colorId !== cell.colorId) {
+            const colorObj = state.colors.find(c => c.id === cell.colorId);
+            if (!colorObj) {
+                result.noFabric++;
+                continue;
+            }
+            
+            // Running estimate, recounted exactly once it reaches the total (as in handleFill)
+            let used = usage.has(colorObj.id) ? usage.get(colorObj.id) : countColorUsage(colorObj.id);
+            if (used >= colorObj.total) {
+                used = countColorUsage(colorObj.id);
+            }
+            if (used >= colorObj.total) {
+                usage.set(colorObj.id, used);
+                result.noFabric++;
+                continue;
+            }
+            
+            setCell(row, col, colorObj.id);
+            usage.set(colorObj.id, used + 1);
+        }
+        result.placed.push(gridIndex(row, col));
+    }
+    
+    return result;
+}
+
+/**
+ * Whether placing cells around an origin would change any hex (see placeCells)
+ */
+function canPlaceCells(cells, origin) {
+    const base = offsetToCube(origin.row, origin.col, state.layout);
+    return cells.some(cell => {
+        const { row, col } = cubeToOffset(base.q + cell.q, base.r + cell.r, state.layout);
+        const target = getCell(row, col);
+        if (!target || target.masked || target.locked || target.colorId === cell.colorId) return false;
+        
+        const colorObj = state.colors.find(c => c.id === cell.colorId);
+        return colorObj !== undefined && countColorUsage(colorObj.id) < colorObj.total;
+    });
+}
+
+/**
+ * Status text for a placement, listing anything that was skipped
+ */
+function describePlacement(verb, result) {
+    const skipped = [];
+    if (result.locked > 0) skipped.push(`${result.locked} locked`);
+    if (result.noFabric > 0) skipped.push(`${result.noFabric} without fabric left`);
+    if (result.outside > 0) skipped.push(`${result.outside} outside the quilt`);
+    
+    const count = result.placed.length;
+    return `${verb} ${count} hex${count === 1 ? '' : 'es'}` + (skipped.length > 0 ? ` (skipped ${skipped.join(', ')})` : '');
+}
+
+/**
+ * Clear the selected hexes' colors, keeping locked ones
+ */
+function clearSelectedCells() {
+    let cleared = 0;
+    for (const { row, col } of getSelectedCells()) {
+        const cell = getCell(row, col);
+        if (cell.locked || cell.colorId === null) continue;
+        setCell(row, col, null);
+        cleared++;
+    }
+    return cleared;
+}
+
+function copySelection() {
+    if (state.selection.size === 0) {
+        setStatus('Select hexes first');
+        return false;
+    }
+    
+    const cells = getSelectedCells();
+    state.clipboard = captureCells(cells, getSelectionOrigin(cells));
+    setStatus(`Copied ${state.clipboard.length} hex${state.clipboard.length === 1 ? '' : 'es'}`);
+    return true;
+}
+
+function cutSelection() {
+    if (!copySelection()) return;
+    
+    saveToHistory();
+    const cleared = clearSelectedCells();
+    renderGrid();
+    updateColorCounts();
+    setStatus(`Cut ${cleared} hex${cleared === 1 ? '' : 'es'} (locked hexes are kept)`);
+}
+
+function deleteSelection() {
+    if (state.selection.size === 0) return;
+    
+    saveToHistory();
+    const cleared = clearSelectedCells();
+    renderGrid();
+    updateColorCounts();
+    setStatus(`Cleared ${cleared} hex${cleared === 1 ? '' : 'es'}`);
+}
+
+/**
+ * Float the clipboard over the grid; it follows the pointer until clicked
+ */
+function pasteClipboard() {
+    if (!state.clipboard || state.clipboard.length === 0) {
+        setStatus('Nothing to paste — copy a selection first');
+        return;
+    }
+    
+    state.floating = { cells: state.clipboard.map(cell => ({ ...cell })), origin: null, home: null };
+    renderOverlays();
+    setStatus('Click to place the pasted hexes (rotate/mirror first if needed, Esc to cancel)');
+}
+
+/**
+ * Lift the selected colored hexes to drag them; locked hexes stay put
+ */
+function startMove(row, col) {
+    saveToHistory();
+    
+    const cells = getSelectedCells().filter(({ row: r, col: c }) => !getCell(r, c).locked);
+    const captured = captureCells(cells, { row, col });
+    cells.forEach(cell => setCell(cell.row, cell.col, null));
+    
+    state.floating = { cells: captured, origin: { row, col }, home: { row, col } };
+    renderGrid();
+    updateColorCounts();
+}
+
+/**
+ * Drop the floating hexes at their current position and select them.
+ * A paste is its own undo step; a move was recorded when it was lifted.
+ */
+function placeFloating() {
+    const floating = state.floating;
+    if (!floating || !floating.origin) return;
+    
+    if (!floating.home) {
+        saveToHistory();
+    }
+    
+    const result = placeCells(floating.cells, floating.origin);
+    state.floating = null;
+    state.selection = new Set(result.placed);
+    renderGrid();
+    updateColorCounts();
+    setStatus(describePlacement(floating.home ? 'Moved' : 'Pasted', result));
+}
+
+/**
+ * Drop a paste, or put moved hexes back where they came from
+ */
+function cancelFloating() {
+    const floating = state.floating;
+    if (!floating) return;
+    
+    state.floating = null;
+    if (floating.home) {
+        placeCells(floating.cells, floating.home);
+        updateColorCounts();
+    }
+    renderGrid();
+}
+
+/**
+ * Rotate or mirror the floating hexes, or the selection in place
+ * (around its middle hex, as one undo step)
+ */
+function transformSelection(transform) {
+    if (state.floating) {
+        state.floating.cells = state.floating.cells.map(cell => ({ ...transformCube(cell, transform), colorId: cell.colorId }));
+        renderOverlays();
+        return;
+    }
+    
+    if (state.selection.size === 0) {
+        setStatus('Select hexes first');
+        return;
+    }
+    
+    saveToHistory();
+    const cells = getSelectedCells().filter(({ row, col }) => !getCell(row, col).locked);
+    const origin = getSelectionOrigin(getSelectedCells());
+    const captured = captureCells(cells, origin);
+    cells.forEach(cell => setCell(cell.row, cell.col, null));
+    
+    const result = placeCells(captured.map(cell => ({ ...transformCube(cell, transform), colorId: cell.colorId })), origin);
+    state.selection = new Set(result.placed);
+    renderGrid();
+    updateColorCounts();
+    setStatus(describePlacement(transform.startsWith('rotate') ? 'Rotated' : 'Mirrored', result));
+}
+
+/**
+ * Start a rectangle or lasso selection at a hex. Shift adds to the selection.
+ */
+function startSelectionDrag(row, col, additive) {
+    state.selectionDrag = {
+        start: { row, col },
+        end: { row, col },
+        points: [hexToPixel(col, row, state.hexSize)],
+        path: new Set([gridIndex(row, col)]),
+        additive
+    };
+    renderOverlays();
+}
+
+function updateSelectionDrag(row, col) {
+    const drag = state.selectionDrag;
+    drag.end = { row, col };
+    if (!drag.path.has(gridIndex(row, col))) {
+        drag.path.add(gridIndex(row, col));
+        drag.points.push(hexToPixel(col, row, state.hexSize));
+    }
+    renderOverlays();
+}
+
+/**
+ * Select the hexes inside the rectangle between the start and end hex
+ * centers, or inside the lasso (plus the hexes it passed over)
+ */
+function finishSelectionDrag() {
+    const drag = state.selectionDrag;
+    state.selectionDrag = null;
+    if (!drag.additive) {
+        state.selection = new Set();
+    }
+    
+    const p1 = hexToPixel(drag.start.col, drag.start.row, state.hexSize);
+    const p2 = hexToPixel(drag.end.col, drag.end.row, state.hexSize);
+    const epsilon = state.hexSize * 0.01;
+    
+    for (let row = 0; row < state.rows; row++) {
+        for (let col = 0; col < state.cols; col++) {
+            const idx = gridIndex(row, col);
+            if (state.grid[idx].masked) continue;
+            
+            const { x, y } = hexToPixel(col, row, state.hexSize);
+            const inside = state.selectMode === 'lasso'
+                ? drag.path.has(idx) || (drag.points.length > 2 && pointInPolygon(x, y, drag.points))
+                : x >= Math.min(p1.x, p2.x) - epsilon && x <= Math.max(p1.x, p2.x) + epsilon &&
+                  y >= Math.min(p1.y, p2.y) - epsilon && y <= Math.max(p1.y, p2.y) + epsilon;
+            if (inside) {
+                state.selection.add(idx);
+            }
+        }
+    }
+    
+    renderOverlays();
+    setStatus(`${state.selection.size} hex${state.selection.size === 1 ? '' : 'es'} selected`);
+}
+
+/**
+ * Draw the selection, the rectangle/lasso being dragged and floating hexes
+ */
+function renderSelectionOverlay(layer) {
+    if (state.tool !== 'select') return;
+    
+    const size = state.hexSize;
+    for (const { row, col } of getSelectedCells()) {
+        const { x, y } = hexToPixel(col, row, size);
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', hexPath(x, y, size * 0.92));
+        path.setAttribute('class', 'selection-hex');
+        layer.appendChild(path);
+    }
+    
+    const drag = state.selectionDrag;
+    if (drag && state.selectMode === 'lasso') {
+        const lasso = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+        lasso.setAttribute('points', drag.points.map(({ x, y }) => `${x},${y}`).join(' '));
+        lasso.setAttribute('class', 'selection-marquee');
+        layer.appendChild(lasso);
+    } else if (drag) {
+        const p1 = hexToPixel(drag.start.col, drag.start.row, size);
+        const p2 = hexToPixel(drag.end.col, drag.end.row, size);
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('x', Math.min(p1.x, p2.x));
+        rect.setAttribute('y', Math.min(p1.y, p2.y));
+        rect.setAttribute('width', Math.abs(p2.x - p1.x));
+        rect.setAttribute('height', Math.abs(p2.y - p1.y));
+        rect.setAttribute('class', 'selection-marquee');
+        layer.appendChild(rect);
+    }
+    
+    const floating = state.floating;
+    if (floating && floating.origin) {
+        const base = offsetToCube(floating.origin.row, floating.origin.col, state.layout);
+        for (const cell of floating.cells) {
+            const { row, col } = cubeToOffset(base.q + cell.q, base.r + cell.r, state.layout);
+            const colorObj = state.colors.find(c => c.id === cell.colorId);
+            const { x, y } = hexToPixel(col, row, size);
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', hexPath(x, y, size));
+            path.setAttribute('fill', colorObj ? colorObj.color : '#888888');
+            path.setAttribute('class', 'floating-hex');
+            layer.appendChild(path);
+        }
+    }
+}
+
+// ============================================================================
+// Symmetry
+// ============================================================================
+
+/**
+ * Symmetry modes for painting, erasing and anchors: the transforms that map
+ * a hex to its symmetric copies around the center hex
+ */
+const SYMMETRY_TRANSFORMS = {
+    'mirror-h': [['mirror-h']],
+    'mirror-v': [['mirror-v']],
+    'mirror-hv': [['mirror-h'], ['mirror-v'], ['mirror-h', 'mirror-v']],
+    'rotate-2': [['rotate-cw', 'rotate-cw', 'rotate-cw']],
+    'rotate-3': [['rotate-cw', 'rotate-cw'], ['rotate-ccw', 'rotate-ccw']],
+    'rotate-6': [['rotate-cw'], ['rotate-cw', 'rotate-cw'], ['rotate-cw', 'rotate-cw', 'rotate-cw'],
+        ['rotate-ccw', 'rotate-ccw'], ['rotate-ccw']]
+};
+
+/**
+ * Center hex for symmetry: the chosen one, or the middle of the grid
+ */
+function getSymmetryCenter() {
+    return state.symmetryCenter || { row: Math.floor(state.rows / 2), col: Math.floor(state.cols / 2) };
+}
+
+/**
+ * A hex and its symmetric copies that fall inside the grid (no duplicates,
+ * the hex itself first)
+ */
+function getSymmetricCells(row, col) {
+    const transforms = SYMMETRY_TRANSFORMS[state.symmetry];
+    if (!transforms) return [{ row, col }];
+    
+    const center = getSymmetryCenter();
+    const base = offsetToCube(center.row, center.col, state.layout);
+    const cube = offsetToCube(row, col, state.layout);
+    const relative = { q: cube.q - base.q, r: cube.r - base.r, s: cube.s - base.s };
+    
+    const cells = [{ row, col }];
+    const seen = new Set([gridIndex(row, col)]);
+    for (const steps of transforms) {
+        const image = steps.reduce((c, transform) => transformCube(c, transform), relative);
+        const target = cubeToOffset(base.q + image.q, base.r + image.r, state.layout);
+        if (!getCell(target.row, target.col) || seen.has(gridIndex(target.row, target.col))) continue;
+        seen.add(gridIndex(target.row, target.col));
+        cells.push(target);
+    }
+    return cells;
+}
+
+/**
+ * Hexes under the brush at a hex and at each of its symmetric copies
+ */
+function getBrushHexes(row, col) {
+    const hexes = [];
+    const seen = new Set();
+    for (const center of getSymmetricCells(row, col)) {
+        for (const hex of getHexesInRadius(center.row, center.col, state.brushSize - 1)) {
+            const idx = gridIndex(hex.row, hex.col);
+            if (seen.has(idx)) continue;
+            seen.add(idx);
+            hexes.push(hex);
+        }
+    }
+    return hexes;
+}
+
+function setSymmetryCenter(row, col) {
+    state.symmetryCenter = { row, col };
+    state.pickingSymmetryCenter = false;
+    document.getElementById('symmetry-center').classList.remove('active');
+    renderOverlays();
+    setStatus(`Symmetry center set to row ${row + 1}, column ${col + 1}`);
+}
+
+/**
+ * Draw the mirror axes or rotation spokes through the symmetry center
+ */
+function renderSymmetryOverlay(layer) {
+    const tools = ['paint', 'erase', 'anchor'];
+    if (state.symmetry === 'none' || (!tools.includes(state.tool) && !state.pickingSymmetryCenter)) {
+        return;
+    }
+    
+    const center = getSymmetryCenter();
+    const { x, y } = hexToPixel(center.col, center.row, state.hexSize);
+    const canvas = calculateCanvasSize(state.cols, state.rows, state.hexSize);
+    const length = canvas.width + canvas.height;
+    
+    // Mirrors get full lines; n-fold rotation gets n spokes starting straight up
+    const angles = [];
+    if (state.symmetry === 'mirror-h' || state.symmetry === 'mirror-hv') {
+        angles.push(-90, 90);
+    }
+    if (state.symmetry === 'mirror-v' || state.symmetry === 'mirror-hv') {
+        angles.push(0, 180);
+    }
+    if (state.symmetry.startsWith('rotate-')) {
+        const folds = parseInt(state.symmetry.slice('rotate-'.length));
+        for (let i = 0; i < folds; i++) {
+            angles.push(-90 + i * 360 / folds);
+        }
+    }
+    
+    for (const angle of angles) {
+        const a = angle * Math.PI / 180;
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('x1', x);
+        line.setAttribute('y1', y);
+        line.setAttribute('x2', x + length * Math.cos(a));
+        line.setAttribute('y2', y + length * Math.sin(a));
+        line.setAttribute('class', 'symmetry-axis');
+        layer.appendChild(line);
+    }
+    
+    const marker = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    marker.setAttribute('d', hexPath(x, y, state.hexSize * 0.6));
+    marker.setAttribute('class', 'symmetry-center');
+    layer.appendChild(marker);
+}
+
+// ============================================================================
+// Stamps
+// ============================================================================
+
+/**
+ * Hexes at exactly `radius` from the stamp origin, all in one palette slot
+ */
+function stampRing(radius, slot) {
+    const cells = [];
+    for (let q = -radius; q <= radius; q++) {
+        for (let r = -radius; r <= radius; r++) {
+            const s = -q - r;
+            if (Math.max(Math.abs(q), Math.abs(r), Math.abs(s)) === radius) {
+                cells.push({ q, r, s, slot });
+            }
+        }
+    }
+    return cells;
+}
+
+/**
+ * Built-in motifs. Cells are cube offsets from the hex that is clicked, and
+ * use palette slots (0, 1, ...) that are given fabrics when placing.
+ */
+const BUILTIN_STAMPS = [
+    {
+        id: 'rosette',
+        name: 'Rosette',
+        cells: [...stampRing(0, 0), ...stampRing(1, 1)]
+    },
+    {
+        id: 'flower-garden',
+        name: 'Flower garden (rosette with path)',
+        cells: [...stampRing(0, 0), ...stampRing(1, 1), ...stampRing(2, 2)]
+    },
+    {
+        id: 'ring',
+        name: 'Ring',
+        cells: stampRing(2, 0)
+    },
+    {
+        id: 'diamond',
+        name: 'Diamond path',
+        cells: [-1, 0, 1].flatMap(q => [-1, 0, 1].map(r => ({ q, r, s: -q - r, slot: q === 0 && r === 0 ? 1 : 0 })))
+    },
+    {
+        id: 'star',
+        name: 'Star',
+        cells: [...stampRing(0, 0), ...stampRing(1, 1),
+            ...HEX_DIRECTIONS.map(([q, r]) => ({ q: 2 * q, r: 2 * r, s: -2 * q - 2 * r, slot: 1 }))]
+    }
+];
+
+const STAMP_STORE = 'stamps';  // added in version 3
+
+/**
+ * Stamps the user saved from selections, oldest first
+ */
+function listStamps() {
+    return libraryRequest(STAMP_STORE, 'readonly', store => store.getAll());
+}
+
+/**
+ * The stamp chosen in the stamp picker
+ */
+function getCurrentStamp() {
+    if (state.stampId.startsWith('user-')) {
+        const id = parseInt(state.stampId.slice('user-'.length));
+        return state.userStamps.find(stamp => stamp.id === id) || BUILTIN_STAMPS[0];
+    }
+    return BUILTIN_STAMPS.find(stamp => stamp.id === state.stampId) || BUILTIN_STAMPS[0];
+}
+
+function getStampSlotCount(cells) {
+    return Math.max(...cells.map(cell => cell.slot)) + 1;
+}
+
+/**
+ * Palette color id for a stamp slot: the one assigned to it, else the
+ * palette color at the same position
+ */
+function getStampSlotColor(slot) {
+    const colorId = state.stampColors[slot];
+    if (state.colors.some(c => c.id === colorId)) {
+        return colorId;
+    }
+    return state.colors.length > 0 ? state.colors[slot % state.colors.length].id : null;
+}
+
+/**
+ * Pick a stamp and reset its orientation. Slot fabrics carry over, except
+ * that user stamps take the palette colors matching the fabrics they were
+ * saved with.
+ */
+function selectStamp(stampId) {
+    state.stampId = stampId;
+    const stamp = getCurrentStamp();
+    state.stampCells = stamp.cells.map(cell => ({ ...cell }));
+    (stamp.colors || []).forEach((color, slot) => {
+        const colorObj = state.colors.find(c => c.color === color);
+        if (colorObj) {
+            state.stampColors[slot] = colorObj.id;
+        }
+    });
+    
+    document.getElementById('stamp-delete').disabled = !stampId.startsWith('user-');
+    renderStampSlots();
+    renderOverlays();
+}
+
+/**
+ * Rotate or mirror the stamp (same transforms as the selection)
+ */
+function transformStamp(transform) {
+    state.stampCells = state.stampCells.map(cell => ({ ...transformCube(cell, transform), slot: cell.slot }));
+    renderOverlays();
+}
+
+/**
+ * Stamp cells with their slot fabrics; slots without a fabric are left out
+ */
+function getStampPlacementCells() {
+    return state.stampCells
+        .map(cell => ({ q: cell.q, r: cell.r, s: cell.s, colorId: getStampSlotColor(cell.slot) }))
+        .filter(cell => cell.colorId !== null);
+}
+
+/**
+ * Place the stamp centered on a hex, as one undo step
+ */
+function handleStamp(row, col) {
+    const cells = getStampPlacementCells();
+    if (cells.length === 0) {
+        setStatus('Add colors to the palette first');
+        return;
+    }
+    
+    // Nothing would change: report what was skipped without an undo step
+    if (!canPlaceCells(cells, { row, col })) {
+        setStatus(describePlacement('Stamped', placeCells(cells, { row, col })));
+        return;
+    }
+    
+    saveToHistory();
+    const result = placeCells(cells, { row, col });
+    renderGrid();
+    updateColorCounts();
+    setStatus(describePlacement('Stamped', result));
+}
+
+/**
+ * Save the selected hexes as a user stamp, one slot per fabric
+ */
+async function saveSelectionAsStamp() {
+    if (state.selection.size === 0) {
+        setStatus('Select hexes first');
+        return;
+    }
+    
+    const cells = getSelectedCells();
+    const captured = captureCells(cells, getSelectionOrigin(cells));
+    if (captured.length === 0) {
+        setStatus('The selection has no colored hexes');
+        return;
+    }
+    
+    const name = prompt('Stamp name', `Stamp ${state.userStamps.length + 1}`);
+    if (!name) return;
+    
+    const colorIds = [...new Set(captured.map(cell => cell.colorId))];
+    const stamp = {
+        name,
+        created: Date.now(),
+        cells: captured.map(({ q, r, s, colorId }) => ({ q, r, s, slot: colorIds.indexOf(colorId) })),
+        colors: colorIds.map(id => state.colors.find(c => c.id === id).color)
+    };
+    
+    try {
+        stamp.id = await libraryRequest(STAMP_STORE, 'readwrite', store => store.add(stamp));
+        state.userStamps.push(stamp);
+        renderStampSelect();
+        setStatus(`Saved stamp "${name}" (${captured.length} hexes)`);
+    } catch (error) {
+        console.error('Failed to save stamp:', error);
+        setStatus('Failed to save stamp: ' + error.message);
+    }
+}
+
+async function deleteCurrentStamp() {
+    const stamp = getCurrentStamp();
+    if (!state.stampId.startsWith('user-') || !confirm(`Delete stamp "${stamp.name}"?`)) return;
+    
+    try {
+        await libraryRequest(STAMP_STORE, 'readwrite', store => store.delete(stamp.id));
+        state.userStamps = state.userStamps.filter(s => s !== stamp);
+        selectStamp(BUILTIN_STAMPS[0].id);
+        renderStampSelect();
+        setStatus(`Deleted stamp "${stamp.name}"`);
+    } catch (error) {
+        console.error('Failed to delete stamp:', error);
+        setStatus('Failed to delete stamp: ' + error.message);
+    }
+}
+
+async function loadUserStamps() {
+    try {
+        state.userStamps = await listStamps();
+        renderStampSelect();
+    } catch (error) {
+        console.error('Failed to load stamps:', error);
+    }
+}
+
+/**
+ * Fill the stamp picker with the built-in and saved stamps
+ */
+function renderStampSelect() {
+    const select = document.getElementById('stamp-select');
+    select.innerHTML = '';
+    
+    const groups = [
+        { label: 'Built-in', stamps: BUILTIN_STAMPS.map(stamp => ({ value: stamp.id, name: stamp.name })) },
+        { label: 'My stamps', stamps: state.userStamps.map(stamp => ({ value: `user-${stamp.id}`, name: stamp.name })) }
+    ];
+    for (const group of groups) {
+        if (group.stamps.length === 0) continue;
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = group.label;
+        for (const { value, name } of group.stamps) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = name;
+            optgroup.appendChild(option);
+        }
+        select.appendChild(optgroup);
+    }
+    
+    select.value = state.stampId;
+}
+
+/**
+ * Swatches for the stamp's palette slots; clicking one gives it the
+ * selected palette color
+ */
+function renderStampSlots() {
+    const container = document.getElementById('stamp-slots');
+    container.innerHTML = '';
+    
+    const swatchSize = 12;
+    const svgSize = swatchSize * 2.2;
+    const slots = getStampSlotCount(state.stampCells);
+    for (let slot = 0; slot < slots; slot++) {
+        const colorObj = state.colors.find(c => c.id === getStampSlotColor(slot));
+        const item = document.createElement('button');
+        item.className = 'stamp-slot';
+        item.dataset.slot = slot;
+        item.title = `Slot ${slot + 1}: ${colorObj ? `color #${colorObj.id}` : 'no color'} (click to use the selected color)`;
+        item.innerHTML = `
+            <svg width="${svgSize}" height="${svgSize}" viewBox="0 0 ${svgSize} ${svgSize}">
+                <path d="${hexPath(svgSize / 2, svgSize / 2, swatchSize)}" fill="${colorObj ? colorObj.color : 'none'}" class="hex-swatch"/>
+            </svg>
+            <span>${slot + 1}</span>
+        `;
+        container.appendChild(item);
+    }
+}
+
+/**
+ * Preview the stamp under the pointer
+ */
+function renderStampOverlay(layer) {
+    if (state.tool !== 'stamp' || !state.stampHover) return;
+    
+    const base = offsetToCube(state.stampHover.row, state.stampHover.col, state.layout);
+    for (const cell of getStampPlacementCells()) {
+        const { row, col } = cubeToOffset(base.q + cell.q, base.r + cell.r, state.layout);
+        const colorObj = state.colors.find(c => c.id === cell.colorId);
+        const { x, y } = hexToPixel(col, row, state.hexSize);
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', hexPath(x, y, state.hexSize));
+        path.setAttribute('fill', colorObj.color);
+        path.setAttribute('class', 'floating-hex');
+        layer.appendChild(path);
+    }
+}
+
+// ============================================================================
+// Line Tool
+// ============================================================================
+
+/**
+ * Hexes covered by a line or path through the given hexes, widened to the
+ * brush radius, in drawing order (no duplicates, only hexes in the grid)
+ */
+function getLineHexes(points) {
+    const radius = state.brushSize - 1;
+    const hexes = [];
+    const seen = new Set();
+    
+    for (let i = 0; i < points.length; i++) {
+        const from = points[Math.max(i - 1, 0)];
+        const line = hexLine(from.row, from.col, points[i].row, points[i].col);
+        for (const center of line) {
+            const base = offsetToCube(center.row, center.col, state.layout);
+            for (let dq = -radius; dq <= radius; dq++) {
+                for (let dr = Math.max(-radius, -dq - radius); dr <= Math.min(radius, -dq + radius); dr++) {
+                    const { row, col } = cubeToOffset(base.q + dq, base.r + dr, state.layout);
+                    if (!getCell(row, col) || seen.has(gridIndex(row, col))) continue;
+                    seen.add(gridIndex(row, col));
+                    hexes.push({ row, col });
+                }
+            }
+        }
+    }
+    
+    return hexes;
+}
+
+/**
+ * Points of the line being drawn, plus the hex under the pointer
+ */
+function getLinePreviewPoints() {
+    const points = [...state.linePoints];
+    const last = points[points.length - 1];
+    if (state.lineHover && (state.lineHover.row !== last.row || state.lineHover.col !== last.col)) {
+        points.push(state.lineHover);
+    }
+    return points;
+}
+
+/**
+ * Add a line or path point (clicking the same hex twice adds it once)
+ */
+function addLinePoint(row, col) {
+    const last = state.linePoints[state.linePoints.length - 1];
+    if (!last || last.row !== row || last.col !== col) {
+        state.linePoints.push({ row, col });
+    }
+    state.lineHover = { row, col };
+    renderOverlays();
+}
+
+/**
+ * Paint the line or path with the selected color as one undo step.
+ * Hexes are painted in drawing order until the fabric runs out.
+ */
+function finishLine() {
+    const points = state.linePoints;
+    state.linePoints = [];
+    state.lineHover = null;
+    renderOverlays();
+    if (points.length === 0) return;
+    
+    if (state.selectedColorId === null) {
+        setStatus('Select a color first');
+        return;
+    }
+    const colorObj = state.colors.find(c => c.id === state.selectedColorId);
+    const what = points.length > 2 ? 'path' : 'line';
+    
+    // Only record history when something will be painted
+    const hexes = getLineHexes(points).filter(({ row, col }) => {
+        const cell = getCell(row, col);
+        return !cell.masked && cell.colorId !== colorObj.id;
+    });
+    if (hexes.length === 0) {
+        setStatus(`The ${what} is already ${colorObj.color} (#${colorObj.id})`);
+        return;
+    }
+    let used = countColorUsage(colorObj.id);
+    if (used >= colorObj.total) {
+        setStatus(`No more ${colorObj.color} (#${colorObj.id}) available`);
+        return;
+    }
+    
+    saveToHistory();
+    let painted = 0;
+    let outOfFabric = false;
+    
+    for (const { row, col } of hexes) {
+        // Recount exactly once the running estimate reaches the total
+        if (used >= colorObj.total) {
+            used = countColorUsage(colorObj.id);
+        }
+        if (used >= colorObj.total) {
+            outOfFabric = true;
+            break;
+        }
+        
+        setCell(row, col, colorObj.id);
+        used++;
+        painted++;
+    }
+    
+    renderGrid();
+    updateColorCounts();
+    setStatus(outOfFabric
+        ? `Drew ${painted} hexes of the ${what} before running out of ${colorObj.color} (#${colorObj.id})`
+        : `Drew a ${what} of ${painted} hex${painted === 1 ? '' : 'es'}`);
+}
+
+function cancelLine() {
+    if (state.linePoints.length === 0) return;
+    
+    state.linePoints = [];
+    state.lineHover = null;
+    renderOverlays();
+    setStatus('Line cancelled');
+}
+
+/**
+ * Preview the line or path being drawn in the selected color
+ */
+function renderLineOverlay(layer) {
+    if (state.tool !== 'line' || state.linePoints.length === 0) return;
+    
+    const colorObj = state.colors.find(c => c.id === state.selectedColorId);
+    for (const { row, col } of getLineHexes(getLinePreviewPoints())) {
+        const { x, y } = hexToPixel(col, row, state.hexSize);
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', hexPath(x, y, state.hexSize));
+        path.setAttribute('fill', colorObj ? colorObj.color : 'none');
+        path.setAttribute('class', 'floating-hex');
+        layer.appendChild(path);
+    }
+    
+    // Mark the path's corners
+    for (const { row, col } of state.linePoints) {
+        const { x, y } = hexToPixel(col, row, state.hexSize);
+        const dot = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        dot.setAttribute('cx', x);
+        dot.setAttribute('cy', y);
+        dot.setAttribute('r', state.hexSize * 0.2);
+        dot.setAttribute('class', 'axis-center');
+        layer.appendChild(dot);
+    }
+}
+
+// ============================================================================
+// Export Functions
+// ============================================================================
+
+// Raster exports are rendered in tiles so no canvas exceeds browser limits
+const RASTER_TILE_WIDTH = 4096;
+const RASTER_TILE_HEIGHT = 256;
+const RASTER_MAX_CANVAS_SIDE = 16384;
+const RASTER_MAX_CANVAS_PIXELS = 16777216;  // 4096 × 4096, Safari's area limit
+const RASTER_MAX_PIXELS = 500000000;
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Export a raster image (PNG, JPEG or WebP) at true physical size for the
+ * chosen DPI, with optional margin, title block and legend
+ */
+async function exportRaster() {
+    const format = document.getElementById('raster-format').value;
+    const dpi = parseFloat(document.getElementById('raster-dpi').value);
+    if (!(dpi > 0)) {
+        setStatus('Enter the DPI');
+        return;
+    }
+    
+    const design = buildExportSVG({
+        showGrid: document.getElementById('export-show-grid').checked,
+        showNumbers: document.getElementById('export-show-numbers').checked,
+        hideColors: document.getElementById('export-hide-colors').checked,
+        margin: Math.max(0, parseFloat(document.getElementById('raster-margin').value) || 0),
+        title: document.getElementById('raster-title').checked,
+        legend: document.getElementById('raster-legend').checked
+    });
+    
+    const pixelsPerUnit = state.unit === 'cm' ? dpi / 2.54 : dpi;
+    const width = Math.round(design.width * pixelsPerUnit);
+    const height = Math.round(design.height * pixelsPerUnit);
+    if (width * height > RASTER_MAX_PIXELS) {
+        setStatus(`Image would be ${width} × ${height} px — lower the DPI`);
+        return;
+    }
+    
+    // PNG is encoded here tile by tile; JPEG and WebP need the whole image on one canvas
+    const fitsCanvas = width <= RASTER_MAX_CANVAS_SIDE && height <= RASTER_MAX_CANVAS_SIDE &&
+        width * height <= RASTER_MAX_CANVAS_PIXELS;
+    if (format !== 'png' && !fitsCanvas) {
+        setStatus(`${width} × ${height} px is too large for ${format.toUpperCase()} — lower the DPI or use PNG`);
+        return;
+    }
+    
+    const button = document.getElementById('export-raster');
+    button.disabled = true;
+    try {
+        const blob = format === 'png'
+            ? await encodeTiledPNG(design, width, height, pixelsPerUnit, dpi)
+            : await renderRasterBlob(design, width, height, pixelsPerUnit, format);
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.download = `hex-quilt-design.${format === 'jpeg' ? 'jpg' : format}`;
+        link.href = url;
+        link.click();
+        
+        URL.revokeObjectURL(url);
+        setStatus(`${format.toUpperCase()} exported (${width} × ${height} px, ` +
+            `${formatLength(design.width)} × ${formatLength(design.height)} ${state.unit} at ${dpi} DPI)`);
+    } catch (error) {
+        setStatus(`Image export failed: ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Serialize the export SVG once at the full image size and load it as an
+ * image that every tile is drawn from. Resolves with the loaded image.
+ */
+function loadRasterImage(design, width, height, pixelsPerUnit) {
+    const { svg } = design;
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.setAttribute('viewBox', `${design.x} ${design.y} ${width / pixelsPerUnit} ${height / pixelsPerUnit}`);
+    
+    const svgData = new XMLSerializer().serializeToString(svg);
+    const url = URL.createObjectURL(new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' }));
+    
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = function() {
+            URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = function() {
+            URL.revokeObjectURL(url);
+            reject(new Error('the design could not be rendered'));
+        };
+        img.src = url;
+    });
+}
+
+/**
+ * Rasterize the tile at pixel (x, y) of the full width × height image.
+ * Returns a canvas on a white background.
+ */
+function renderRasterTile(img, x, y, tileWidth, tileHeight, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = tileWidth;
+    canvas.height = tileHeight;
+    
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, tileWidth, tileHeight);
+    ctx.translate(-x, -y);
+    ctx.drawImage(img, 0, 0, width, height);
+    return canvas;
+}
+
+/**
+ * Render the whole image on one canvas and encode it as JPEG or WebP
+ */
+async function renderRasterBlob(design, width, height, pixelsPerUnit, format) {
+    const img = await loadRasterImage(design, width, height, pixelsPerUnit);
+    const canvas = renderRasterTile(img, 0, 0, width, height, width, height);
+    const type = `image/${format}`;
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, type, 0.92));
+    
+    // Browsers fall back to PNG for types they can't encode
+    if (!blob || blob.type !== type) {
+        throw new Error(`this browser can't write ${format.toUpperCase()}`);
+    }
+    return blob;
+}
+
+/**
+ * Encode a PNG from strips of tiles, so no canvas is larger than one tile.
+ * Scanlines are streamed through the browser's deflate as they're rendered.
+ */
+async function encodeTiledPNG(design, width, height, pixelsPerUnit, dpi) {
+    const img = await loadRasterImage(design, width, height, pixelsPerUnit);
+    const deflate = new CompressionStream('deflate');
+    const compressed = new Response(deflate.readable).arrayBuffer();
+    const writer = deflate.writable.getWriter();
+    const stride = width * 4 + 1;
+    
+    for (let y = 0; y < height; y += RASTER_TILE_HEIGHT) {
+        const stripHeight = Math.min(RASTER_TILE_HEIGHT, height - y);
+        
+        // Each scanline is filter type 0 (none) followed by RGBA pixels
+        const strip = new Uint8Array(stripHeight * stride);
+        for (let x = 0; x < width; x += RASTER_TILE_WIDTH) {
+            const tileWidth = Math.min(RASTER_TILE_WIDTH, width - x);
+            const tile = renderRasterTile(img, x, y, tileWidth, stripHeight, width, height);
+            const pixels = tile.getContext('2d').getImageData(0, 0, tileWidth, stripHeight).data;
+            for (let row = 0; row < stripHeight; row++) {
+                strip.set(pixels.subarray(row * tileWidth * 4, (row + 1) * tileWidth * 4), row * stride + 1 + x * 4);
+            }
+        }
+        
+        await writer.write(strip);
+        setStatus(`Rendering image… ${Math.round((y + stripHeight) / height * 100)}%`);
+    }
+    await writer.close();
+    
+    // 8-bit RGBA, no interlacing
+    const header = new DataView(new ArrayBuffer(13));
+    header.setUint32(0, width);
+    header.setUint32(4, height);
+    header.setUint8(8, 8);
+    header.setUint8(9, 6);
+    
+    // Physical pixel size in pixels per meter, so the image prints at true size
+    const physical = new DataView(new ArrayBuffer(9));
+    const pixelsPerMeter = Math.round(dpi / 0.0254);
+    physical.setUint32(0, pixelsPerMeter);
+    physical.setUint32(4, pixelsPerMeter);
+    physical.setUint8(8, 1);
+    
+    return new Blob([
+        new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]),
+        pngChunk('IHDR', new Uint8Array(header.buffer)),
+        pngChunk('pHYs', new Uint8Array(physical.buffer)),
+        pngChunk('IDAT', new Uint8Array(await compressed)),
+        pngChunk('IEND', new Uint8Array(0))
+    ], { type: 'image/png' });
+}
+
+/**
+ * One PNG chunk: length, type, data and CRC of type + data
+ */
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(data.length + 12);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+    return chunk;
+}
+
+/**
+ * CRC-32 as used by PNG chunks
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build the grid lines for an export at the given hex size: one line per
+ * hex edge, clipped to the straight edge when trimming
+ */
+function createGridLines(size, strokeWidth) {
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    let linesGroup = group;
+    
+    // Trimmed border hexes end at the straight quilt edge
+    if (state.trimFractions) {
+        linesGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        linesGroup.setAttribute('clip-path', 'url(#quilt-trim)');
+        group.appendChild(linesGroup);
+    }
+    
+    // Helper to check if a neighbor exists inside the quilt outline
+    const hasNeighbor = (row, col) => {
+        const cell = getCell(row, col);
+        return cell !== null && !cell.masked;
+    };
+    
+    for (let row = 0; row < state.rows; row++) {
+        for (let col = 0; col < state.cols; col++) {
+            if (!hasNeighbor(row, col)) continue;
+            
+            const { x, y } = hexToPixel(col, row, size);
+            const corners = hexCorners(x, y, size);
+            
+            // Edge i runs from corner i to corner i + 1 and faces neighbor i
+            const neighbors = offsetNeighbors(row, col, state.layout);
+            
+            neighbors.forEach((neighbor, i) => {
+                // Draw each edge if there's no neighbor on that side (exterior),
+                // interior edges only on the first three sides to avoid duplicates
+                if (hasNeighbor(neighbor.row, neighbor.col) && i > 2) return;
+                
+                const start = corners[i];
+                const end = corners[(i + 1) % 6];
+                const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+                line.setAttribute('x1', start.x);
+                line.setAttribute('y1', start.y);
+                line.setAttribute('x2', end.x);
+                line.setAttribute('y2', end.y);
+                line.setAttribute('stroke', '#000000');
+                line.setAttribute('stroke-width', strokeWidth);
+                linesGroup.appendChild(line);
+            });
+        }
+    }
+    
+    if (state.trimFractions) {
+        const outline = createTrimRectElement(getTrimRect(size));
+        outline.setAttribute('fill', 'none');
+        outline.setAttribute('stroke', '#000000');
+        outline.setAttribute('stroke-width', strokeWidth);
+        group.appendChild(outline);
+    }
+    
+    return group;
+}
+
+/**
+ * Build color number labels for all colored cells at the given hex size
+ */
+function createNumberLabels(size, fontSize, hideColors) {
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    
+    for (let row = 0; row < state.rows; row++) {
+        for (let col = 0; col < state.cols; col++) {
+            const cell = getCell(row, col);
+            if (!cell || !cell.colorId) continue;
+            
+            const { x, y } = hexToPixel(col, row, size);
+            const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            text.setAttribute('x', x);
+            text.setAttribute('y', y);
+            text.setAttribute('text-anchor', 'middle');
+            text.setAttribute('dominant-baseline', 'middle');
+            text.setAttribute('font-family', 'JetBrains Mono, SF Mono, monospace');
+            text.setAttribute('font-size', fontSize);
+            text.setAttribute('font-weight', '500');
+            text.setAttribute('pointer-events', 'none');
+            
+            // Set text color based on background
+            if (hideColors) {
+                text.setAttribute('fill', '#000000');
+            } else {
+                const textColor = isLightColor(cell.color) ? '#4a4540' : '#ffffff';
+                text.setAttribute('fill', textColor);
+            }
+            
+            if (state.trimFractions && getPieceKind(gridIndex(row, col)) !== 'full') {
+                text.setAttribute('clip-path', 'url(#quilt-trim)');
+            }
+            
+            text.textContent = cell.colorId;
+            group.appendChild(text);
+        }
+    }
+    
+    return group;
+}
+
+/**
+ * Export the design as a vector SVG sized in real units, with fills, grid
+ * lines, numbers and anchors in separate named groups and a color legend
+ */
+function exportSVG() {
+    const design = buildExportSVG({
+        showGrid: document.getElementById('export-show-grid').checked,
+        showNumbers: document.getElementById('export-show-numbers').checked,
+        hideColors: document.getElementById('export-hide-colors').checked,
+        margin: 0,
+        title: false,
+        legend: true
+    });
+    const { svg, width, height } = design;
+    
+    svg.setAttribute('width', `${width}${state.unit}`);
+    svg.setAttribute('height', `${height}${state.unit}`);
+    svg.setAttribute('viewBox', `${design.x} ${design.y} ${width} ${height}`);
+    
+    const svgData = new XMLSerializer().serializeToString(svg);
+    const blob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.download = 'hex-quilt-design.svg';
+    link.href = url;
+    link.click();
+    
+    URL.revokeObjectURL(url);
+    setStatus(`SVG exported (${formatLength(width)} × ${formatLength(height)} ${state.unit})`);
+}
+
+/**
+ * Build the design as an SVG in real units (one user unit is one inch or
+ * centimeter). The grid starts at the origin; the output covers the grid, or
+ * the finished quilt rectangle when trimming edges, plus the margin, title
+ * block and legend around it. The caller sets the viewBox from the returned
+ * {svg, x, y, width, height}.
+ */
+function buildExportSVG(options) {
+    const { showGrid, showNumbers, hideColors, margin } = options;
+    
+    // hexRealSize is point-to-point
+    const size = state.hexRealSize / 2;
+    const canvas = calculateCanvasSize(state.cols, state.rows, size);
+    const quilt = state.trimFractions
+        ? getTrimRect(size)
+        : { x: 0, y: 0, width: canvas.width, height: canvas.height };
+    
+    // XMLSerializer adds the xmlns for elements created in the SVG namespace
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    
+    if (state.trimFractions) {
+        const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+        const clipPath = document.createElementNS('http://www.w3.org/2000/svg', 'clipPath');
+        clipPath.setAttribute('id', 'quilt-trim');
+        clipPath.appendChild(createTrimRectElement(getTrimRect(size)));
+        defs.appendChild(clipPath);
+        svg.appendChild(defs);
+    }
+    
+    // Fills (full-size hexes, the grid lines mark the seams)
+    const fills = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    fills.setAttribute('id', 'fills');
+    for (let row = 0; row < state.rows; row++) {
+        for (let col = 0; col < state.cols; col++) {
+            const cell = getCell(row, col);
+            if (cell.masked) continue;
+            
+            const { x, y } = hexToPixel(col, row, size);
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', hexPath(x, y, size));
+            path.setAttribute('fill', hideColors || !cell.color ? '#ffffff' : cell.color);
+            if (state.trimFractions && getPieceKind(gridIndex(row, col)) !== 'full') {
+                path.setAttribute('clip-path', 'url(#quilt-trim)');
+            }
+            fills.appendChild(path);
+        }
+    }
+    svg.appendChild(fills);
+    
+    const strokeWidth = size * 0.02;
+    const gridLines = showGrid ? createGridLines(size, strokeWidth) : document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    gridLines.setAttribute('id', 'grid-lines');
+    svg.appendChild(gridLines);
+    
+    const numbers = showNumbers ? createNumberLabels(size, size / 3, hideColors) : document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    numbers.setAttribute('id', 'numbers');
+    svg.appendChild(numbers);
+    
+    // Anchors are kept for reference but hidden, so they don't print
+    const anchors = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    anchors.setAttribute('id', 'anchors');
+    anchors.setAttribute('display', 'none');
+    for (const anchor of state.anchors) {
+        const colorObj = state.colors.find(c => c.id === anchor.colorId);
+        const { x, y } = hexToPixel(anchor.col, anchor.row, size);
+        const marker = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        marker.setAttribute('d', hexPath(x, y, size * 0.3));
+        marker.setAttribute('fill', colorObj ? colorObj.color : '#888888');
+        marker.setAttribute('stroke', '#000000');
+        marker.setAttribute('stroke-width', strokeWidth);
+        anchors.appendChild(marker);
+    }
+    svg.appendChild(anchors);
+    
+    const legend = options.legend ? createLegend(size, quilt.width, quilt.y + quilt.height) : { height: 0 };
+    if (options.legend) {
+        legend.group.setAttribute('transform', `translate(${quilt.x},0)`);
+        svg.appendChild(legend.group);
+    }
+    
+    const title = options.title ? createTitleBlock(size) : { height: 0 };
+    if (options.title) {
+        title.group.setAttribute('transform', `translate(${quilt.x},${quilt.y})`);
+        svg.appendChild(title.group);
+    }
+    
+    return {
+        svg,
+        x: quilt.x - margin,
+        y: quilt.y - margin - title.height,
+        width: quilt.width + 2 * margin,
+        height: title.height + quilt.height + legend.height + 2 * margin
+    };
+}
+
+/**
+ * Title block above the quilt: heading plus size, hex and color counts.
+ * Returns {group, height}; the group sits at negative y, ending at the quilt.
+ */
+function createTitleBlock(size) {
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.setAttribute('id', 'title');
+    
+    const height = size * 2.4;
+    const lines = [
+        { text: 'Hex Quilt Design', fontSize: size * 0.8, weight: 'bold', y: -height + size * 0.9 },
+        {
+            text: `${formatLength(state.quiltWidth)} × ${formatLength(state.quiltHeight)} ${state.unit} · ` +
+                `${state.hexRealSize} ${state.unit} hexes · ${countActiveCells()} hexes · ${state.colors.length} colors`,
+            fontSize: size * 0.45,
+            weight: 'normal',
+            y: -height + size * 1.6
+        }
+    ];
+    
+    for (const line of lines) {
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', 0);
+        text.setAttribute('y', line.y);
+        text.setAttribute('font-family', 'Crimson Pro, Georgia, serif');
+        text.setAttribute('font-size', line.fontSize);
+        text.setAttribute('font-weight', line.weight);
+        text.setAttribute('fill', '#000000');
+        text.textContent = line.text;
+        group.appendChild(text);
+    }
+    
+    return { group, height };
+}
+
+/**
+ * Color legend below the quilt: hex swatch, color number and hex count per color.
+ * Returns {group, height} in the same units as size.
+ */
+function createLegend(size, width, top) {
+    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    group.setAttribute('id', 'legend');
+    
+    const entryWidth = size * 5;
+    const entryHeight = size * 1.4;
+    const perRow = Math.max(1, Math.floor(width / entryWidth));
+    const rows = Math.ceil(state.colors.length / perRow);
+    
+    state.colors.forEach((colorObj, i) => {
+        const x = size + (i % perRow) * entryWidth;
+        const y = top + size + Math.floor(i / perRow) * entryHeight;
+        
+        const swatch = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        swatch.setAttribute('d', hexPath(x, y, size * 0.5));
+        swatch.setAttribute('fill', colorObj.color);
+        swatch.setAttribute('stroke', '#000000');
+        swatch.setAttribute('stroke-width', size * 0.02);
+        group.appendChild(swatch);
+        
+        const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        label.setAttribute('x', x + size * 0.8);
+        label.setAttribute('y', y);
+        label.setAttribute('dominant-baseline', 'middle');
+        label.setAttribute('font-family', 'JetBrains Mono, SF Mono, monospace');
+        label.setAttribute('font-size', size * 0.45);
+        label.setAttribute('fill', '#000000');
+        label.textContent = `#${colorObj.id} × ${countColorUsage(colorObj.id)}`;
+        group.appendChild(label);
+    });
+    
+    return { group, height: rows > 0 ? rows * entryHeight + size : 0 };
+}
+
+/**
+ * Format a real-world length with at most two decimals
+ */
+function formatLength(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Export design to JSON file
+ */
+function exportToJSON() {
+    const data = serializeDesign();
+    
+    // Create JSON blob
+    const jsonStr = JSON.stringify(data, null, 2);
+    const blob = new Blob([jsonStr], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    // Download
+    const link = document.createElement('a');
+    link.download = 'hex-quilt-design.json';
+    link.href = url;
+    link.click();
+    
+    URL.revokeObjectURL(url);
+    setStatus('Design exported');
+}
+
+/**
+ * Import design from JSON file
+ */
+function importFromJSON(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = function(event) {
+        let data;
+        try {
+            data = JSON.parse(event.target.result);
+        } catch (error) {
+            openImportPreview(file.name, { data: null, from: null, errors: [`Not a valid JSON file: ${error.message}`] });
+            return;
+        }
+        
+        openImportPreview(file.name, readDesign(data));
+    };
+    
+    reader.readAsText(file);
+    
+    // Reset file input so the same file can be imported again if needed
+    e.target.value = '';
+}
+
+/**
+ * Gradient and dither settings saved with a design, so a gradient can be regenerated exactly
+ */
+function getGradientSettings() {
+    return {
+        gradientMode: state.gradientMode,
+        gradientPower: state.gradientPower,
+        gradientSoftness: state.gradientSoftness,
+        gradientAxis: state.gradientAxis,
+        gradientAssignment: state.gradientAssignment,
+        gradientDither: state.gradientDither,
+        ditherIntensity: state.ditherIntensity,
+        ditherAlgorithm: state.ditherAlgorithm,
+        ditherSeed: state.ditherSeed
+    };
+}
+
+/**
+ * Restore gradient settings from saved data (older files fall back to the defaults)
+ */
+function loadGradientSettings(data) {
+    state.gradientMode = data.gradientMode || 'idw';
+    state.gradientPower = data.gradientPower || 2;
+    state.gradientSoftness = typeof data.gradientSoftness === 'number' ? data.gradientSoftness : 1;
+    state.gradientAxis = data.gradientAxis || null;
+    state.gradientAssignment = data.gradientAssignment || 'greedy';
+    state.gradientDither = data.gradientDither || false;
+    state.ditherIntensity = typeof data.ditherIntensity === 'number' ? data.ditherIntensity : 5;
+    state.ditherAlgorithm = data.ditherAlgorithm || 'noise';
+    state.ditherSeed = typeof data.ditherSeed === 'number' ? data.ditherSeed : 1;
+}
+
+// ============================================================================
+// Design File Format
+// ============================================================================
+
+/**
+ * Current design file version. Version 1 covers the original '1.0' exports
+ * and browser saves without a version; older files are migrated on load.
+ */
+const DESIGN_VERSION = 2;
+
+/**
+ * Migration from each older version to the next one
+ */
+const DESIGN_MIGRATIONS = {
+    1: migrateDesignV1
+};
+
+/**
+ * Design data as written to files and browser saves. Undo after removing a
+ * color can bring back cells and anchors of that color: they are saved empty
+ * (and dropped) so the app's own saves always pass validation.
+ */
+function serializeDesign() {
+    const palette = new Map(state.colors.map(colorObj => [colorObj.id, colorObj.color]));
+    
+    return {
+        version: DESIGN_VERSION,
+        hexRealSize: state.hexRealSize,
+        quiltWidth: state.quiltWidth,
+        quiltHeight: state.quiltHeight,
+        unit: state.unit,
+        layout: state.layout,
+        trimEdges: state.trimEdges,
+        fabricWidth: state.fabricWidth,
+        seamAllowance: state.seamAllowance,
+        cols: state.cols,
+        rows: state.rows,
+        hexSize: state.hexSize,
+        grid: state.grid.map(cell => {
+            const color = palette.get(cell.colorId);
+            return color ? { ...cell, color } : { ...cell, color: null, colorId: null };
+        }),
+        colors: state.colors,
+        nextColorId: state.nextColorId,
+        anchors: state.anchors.filter(anchor => palette.has(anchor.colorId)),
+        showNumbers: state.showNumbers,
+        ...getGradientSettings()
+    };
+}
+
+/**
+ * Parse, migrate and validate raw design data.
+ * Returns {data, from, errors}; data is only usable when errors is empty.
+ */
+function readDesign(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { data: null, from: null, errors: ['File does not contain a design'] };
+    }
+    
+    try {
+        const { data, from } = migrateDesign(raw);
+        return { data, from, errors: validateDesign(data) };
+    } catch (error) {
+        return { data: null, from: null, errors: [error.message] };
+    }
+}
+
+/**
+ * Bring design data up to DESIGN_VERSION, one migration at a time.
+ * Returns {data, from}; throws for unknown or newer versions.
+ */
+function migrateDesign(data) {
+    let from = data.version;
+    if (from === undefined || (typeof from === 'string' && /^1(\.\d+)?$/.test(from))) {
+        from = 1;
+    }
+    if (!Number.isInteger(from) || from < 1) {
+        throw new Error(`Unknown design version ${JSON.stringify(data.version)}`);
+    }
+    if (from > DESIGN_VERSION) {
+        throw new Error(`Design version ${from} is newer than this app supports (version ${DESIGN_VERSION})`);
+    }
+    
+    let migrated = data;
+    for (let version = from; version < DESIGN_VERSION; version++) {
+        migrated = DESIGN_MIGRATIONS[version](migrated);
+    }
+    return { data: migrated, from };
+}
+
+/**
+ * Version 1 to 2: settings added since 1.0 get their defaults, cells get
+ * explicit lock/mask flags and anchors their strength and radius
+ */
+function migrateDesignV1(data) {
+    const withDefault = (key, value) => data[key] === undefined ? value : data[key];
+    const colors = withDefault('colors', []);
+    const maxColorId = Array.isArray(colors)
+        ? colors.reduce((max, colorObj) => Math.max(max, colorObj && Number.isInteger(colorObj.id) ? colorObj.id : 0), 0)
+        : 0;
+    const isObject = (value) => value !== null && typeof value === 'object';
+    
+    return {
+        ...data,
+        version: 2,
+        hexRealSize: withDefault('hexRealSize', 2),
+        quiltWidth: withDefault('quiltWidth', 30),
+        quiltHeight: withDefault('quiltHeight', 40),
+        unit: withDefault('unit', 'in'),
+        layout: withDefault('layout', 'odd-r'),
+        trimEdges: withDefault('trimEdges', false),
+        fabricWidth: withDefault('fabricWidth', DEFAULT_FABRIC_WIDTH[data.unit === 'cm' ? 'cm' : 'in']),
+        seamAllowance: withDefault('seamAllowance', 0.25),
+        hexSize: withDefault('hexSize', 30),
+        grid: Array.isArray(data.grid) ? data.grid.map(cell => isObject(cell) ? {
+            color: cell.color === undefined ? null : cell.color,
+            colorId: cell.colorId === undefined ? null : cell.colorId,
+            locked: cell.locked === undefined ? false : cell.locked,
+            masked: cell.masked === undefined ? false : cell.masked
+        } : cell) : data.grid,
+        colors,
+        nextColorId: withDefault('nextColorId', maxColorId + 1),
+        anchors: Array.isArray(data.anchors)
+            ? data.anchors.map(anchor => isObject(anchor) ? normalizeAnchor(anchor) : anchor)
+            : withDefault('anchors', []),
+        showNumbers: withDefault('showNumbers', false),
+        gradientMode: withDefault('gradientMode', 'idw'),
+        gradientPower: withDefault('gradientPower', 2),
+        gradientSoftness: withDefault('gradientSoftness', 1),
+        gradientAxis: withDefault('gradientAxis', null),
+        gradientAssignment: withDefault('gradientAssignment', 'greedy'),
+        gradientDither: withDefault('gradientDither', false),
+        ditherIntensity: withDefault('ditherIntensity', 5),
+        ditherAlgorithm: withDefault('ditherAlgorithm', 'noise'),
+        ditherSeed: withDefault('ditherSeed', 1)
+    };
+}
+
+/**
+ * Check current-version design data. Returns a list of every problem found
+ * (empty when the design is valid).
+ */
+function validateDesign(data) {
+    const errors = [];
+    const check = (ok, message) => {
+        if (!ok) errors.push(message);
+    };
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const oneOf = (key, values) => check(values.includes(data[key]),
+        `${key} must be one of ${values.join(', ')} (found ${JSON.stringify(data[key])})`);
+    
+    // Settings
+    for (const key of ['hexRealSize', 'quiltWidth', 'quiltHeight', 'hexSize', 'fabricWidth', 'gradientPower']) {
+        check(isNumber(data[key]) && data[key] > 0, `${key} must be a positive number`);
+    }
+    for (const key of ['seamAllowance', 'gradientSoftness', 'ditherIntensity']) {
+        check(isNumber(data[key]) && data[key] >= 0, `${key} must be zero or a positive number`);
+    }
+    for (const key of ['trimEdges', 'showNumbers', 'gradientDither']) {
+        check(typeof data[key] === 'boolean', `${key} must be true or false`);
+    }
+    check(isNumber(data.ditherSeed), 'ditherSeed must be a number');
+    oneOf('unit', ['in', 'cm']);
+    oneOf('layout', GRID_LAYOUTS);
+    oneOf('gradientMode', ['idw', 'linear', 'radial', 'nearest']);
+    oneOf('gradientAssignment', ['greedy', 'optimal']);
+    oneOf('ditherAlgorithm', ['noise', 'diffusion']);
+    
+    // Palette
+    const colorIds = new Set();
+    const paletteColors = new Map();
+    if (Array.isArray(data.colors)) {
+        data.colors.forEach((colorObj, i) => {
+            if (!isObject(colorObj)) {
+                errors.push(`Color ${i + 1} is not an object`);
+                return;
+            }
+            if (!Number.isInteger(colorObj.id) || colorObj.id < 1) {
+                errors.push(`Color ${i + 1} has an invalid id ${JSON.stringify(colorObj.id)}`);
+            } else if (colorIds.has(colorObj.id)) {
+                errors.push(`Color ${i + 1} repeats id ${colorObj.id}`);
+            } else {
+                colorIds.add(colorObj.id);
+                if (isColor(colorObj.color)) {
+                    paletteColors.set(colorObj.id, colorObj.color.toLowerCase());
+                }
+            }
+            check(isColor(colorObj.color), `Color ${i + 1} has an invalid hex color ${JSON.stringify(colorObj.color)}`);
+            check(isCount(colorObj.total), `Color ${i + 1} has an invalid quantity ${JSON.stringify(colorObj.total)}`);
+        });
+    } else {
+        errors.push('colors must be a list');
+    }
+    const maxColorId = Math.max(0, ...colorIds);
+    check(Number.isInteger(data.nextColorId) && data.nextColorId > maxColorId,
+        `nextColorId must be a whole number above the highest color id (${maxColorId})`);
+    
+    // Grid
+    const sizeValid = Number.isInteger(data.cols) && data.cols > 0 && Number.isInteger(data.rows) && data.rows > 0;
+    check(sizeValid, 'cols and rows must be positive whole numbers');
+    const inGrid = (row, col) => sizeValid && Number.isInteger(row) && Number.isInteger(col) &&
+        row >= 0 && row < data.rows && col >= 0 && col < data.cols;
+    
+    if (!Array.isArray(data.grid)) {
+        errors.push('grid must be a list of cells');
+    } else {
+        if (sizeValid && data.grid.length !== data.cols * data.rows) {
+            errors.push(`grid has ${data.grid.length} cells, but ${data.cols} cols × ${data.rows} rows needs ${data.cols * data.rows}`);
+        }
+        data.grid.forEach((cell, i) => {
+            const where = sizeValid ? `Cell ${i} (row ${Math.floor(i / data.cols)}, col ${i % data.cols})` : `Cell ${i}`;
+            if (!isObject(cell)) {
+                errors.push(`${where} is not an object`);
+                return;
+            }
+            check(cell.color === null || isColor(cell.color), `${where} has an invalid color ${JSON.stringify(cell.color)}`);
+            check(cell.colorId === null || colorIds.has(cell.colorId), `${where} uses color ${JSON.stringify(cell.colorId)}, which is not in the palette`);
+            check((cell.color === null) === (cell.colorId === null), `${where} must have both a color and a color id, or neither`);
+            check(!paletteColors.has(cell.colorId) || !isColor(cell.color) || cell.color.toLowerCase() === paletteColors.get(cell.colorId),
+                `${where} has color ${cell.color}, but palette color ${cell.colorId} is ${paletteColors.get(cell.colorId)}`);
+            check(typeof cell.locked === 'boolean', `${where} has an invalid locked flag`);
+            check(typeof cell.masked === 'boolean', `${where} has an invalid masked flag`);
+        });
+    }
+    
+    // Anchors and gradient axis
+    if (Array.isArray(data.anchors)) {
+        data.anchors.forEach((anchor, i) => {
+            if (!isObject(anchor)) {
+                errors.push(`Anchor ${i + 1} is not an object`);
+                return;
+            }
+            check(inGrid(anchor.row, anchor.col), `Anchor ${i + 1} is outside the grid (row ${anchor.row}, col ${anchor.col})`);
+            check(colorIds.has(anchor.colorId), `Anchor ${i + 1} uses color ${JSON.stringify(anchor.colorId)}, which is not in the palette`);
+            check(isNumber(anchor.strength) && anchor.strength > 0, `Anchor ${i + 1} has an invalid strength`);
+            check(isNumber(anchor.radius) && anchor.radius >= 0, `Anchor ${i + 1} has an invalid radius`);
+        });
+    } else {
+        errors.push('anchors must be a list');
+    }
+    
+    if (data.gradientAxis !== null) {
+        const axis = data.gradientAxis;
+        check(isObject(axis) && isObject(axis.start) && isObject(axis.end) &&
+            inGrid(axis.start.row, axis.start.col) && inGrid(axis.end.row, axis.end.col),
+            'gradientAxis must have start and end points inside the grid');
+    }
+    
+    return errors;
+}
+
+/**
+ * Replace the current design with validated design data
+ */
+function applyDesign(data) {
+    // A running gradient was computed for the previous design
+    cancelGradient();
+    
+    state.hexRealSize = data.hexRealSize;
+    state.quiltWidth = data.quiltWidth;
+    state.quiltHeight = data.quiltHeight;
+    state.unit = data.unit;
+    state.layout = data.layout;
+    state.cols = data.cols;
+    state.rows = data.rows;
+    state.hexSize = data.hexSize;
+    state.grid = data.grid;
+    state.colors = data.colors;
+    state.nextColorId = data.nextColorId;
+    // Keep the selected fabric only if the loaded palette still has it
+    if (!state.colors.some(c => c.id === state.selectedColorId)) {
+        state.selectedColorId = null;
+    }
+    state.anchors = data.anchors;
+    state.swapSource = null;
+    state.selection = new Set();
+    state.floating = null;
+    state.symmetryCenter = null;
+    state.linePoints = [];
+    state.lineHover = null;
+    state.showNumbers = data.showNumbers;
+    state.trimEdges = data.trimEdges;
+    loadFabricSettings(data);
+    computeTrimFractions();
+    loadGradientSettings(data);
+    
+    // Update UI
+    document.getElementById('hex-real-size').value = state.hexRealSize;
+    document.getElementById('quilt-width').value = state.quiltWidth;
+    document.getElementById('quilt-height').value = state.quiltHeight;
+    document.getElementById('unit-select').value = state.unit;
+    document.getElementById('grid-layout').value = state.layout;
+    document.getElementById('trim-edges').checked = state.trimEdges;
+    updateUnitLabels();
+    document.getElementById('show-numbers').checked = state.showNumbers;
+    syncGradientControls();
+    
+    // Reset history
+    state.history = [];
+    state.historyIndex = -1;
+    saveToHistory();
+    
+    // Update displays
+    updateGridInfo();
+    renderColorList();
+    renderMiniColorSelector();
+    renderGrid();
+    updateColorCounts();
+    updateToolHint();
+}
+
+/**
+ * Show what an import contains (or everything wrong with it) before it
+ * replaces the current design
+ */
+function openImportPreview(fileName, result) {
+    const { data, from, errors } = result;
+    state.pendingImport = errors.length === 0 ? data : null;
+    
+    const summary = document.getElementById('import-summary');
+    const preview = document.getElementById('import-preview');
+    const errorList = document.getElementById('import-errors');
+    preview.innerHTML = '';
+    errorList.innerHTML = '';
+    
+    if (errors.length > 0) {
+        summary.textContent = `${fileName} can't be imported — ${errors.length} problem${errors.length > 1 ? 's' : ''} found:`;
+        for (const error of errors) {
+            const item = document.createElement('li');
+            item.textContent = error;
+            errorList.appendChild(item);
+        }
+    } else {
+        const colored = data.grid.filter(cell => cell.colorId !== null && !cell.masked).length;
+        const active = data.grid.filter(cell => !cell.masked).length;
+        summary.textContent = `${fileName}: ${data.quiltWidth} × ${data.quiltHeight} ${data.unit} quilt, ` +
+            `${data.cols} × ${data.rows} grid, ${colored} of ${active} hexes colored, ` +
+            `${data.colors.length} colors, ${data.anchors.length} anchors` +
+            (from < DESIGN_VERSION ? ` (version ${from} file, upgraded to version ${DESIGN_VERSION})` : '');
+        preview.appendChild(createDesignThumbnail(data, 360, 240));
+    }
+    
+    document.getElementById('import-confirm').disabled = errors.length > 0;
+    document.getElementById('import-download').style.display = state.legacySaveJSON ? '' : 'none';
+    document.getElementById('import-modal').classList.add('visible');
+}
+
+/**
+ * Close the import preview without changing the design
+ */
+function closeImportPreview() {
+    state.pendingImport = null;
+    state.legacySaveJSON = null;
+    document.getElementById('import-modal').classList.remove('visible');
+}
+
+/**
+ * Download the old browser save that couldn't be migrated, as it was stored
+ */
+function downloadLegacySave() {
+    const blob = new Blob([state.legacySaveJSON], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.download = 'hex-quilt-old-browser-save.json';
+    link.href = url;
+    link.click();
+    
+    URL.revokeObjectURL(url);
+    setStatus('Old browser save downloaded');
+}
+
+/**
+ * Replace the current design with the previewed import
+ */
+function confirmImport() {
+    const data = state.pendingImport;
+    if (!data) return;
+    
+    closeImportPreview();
+    applyDesign(data);
+    
+    // An imported design is new, not an edit of the open project
+    state.projectId = null;
+    updateProjectTitle();
+    setStatus('Design imported');
+}
+
+/**
+ * Small SVG picture of design data, scaled to fit maxWidth × maxHeight pixels
+ */
+function createDesignThumbnail(data, maxWidth, maxHeight) {
+    const extent = calculateCanvasSize(data.cols, data.rows, 1, data.layout);
+    const size = Math.min(maxWidth / extent.width, maxHeight / extent.height);
+    const flatTop = isFlatTop(data.layout);
+    
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('width', extent.width * size);
+    svg.setAttribute('height', extent.height * size);
+    
+    for (let row = 0; row < data.rows; row++) {
+        for (let col = 0; col < data.cols; col++) {
+            const cell = data.grid[row * data.cols + col];
+            if (cell.masked) continue;
+            
+            const { x, y } = hexToPixel(col, row, size, data.layout);
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', hexPath(x, y, size, flatTop));
+            path.setAttribute('fill', cell.color || '#ffffff');
+            path.setAttribute('stroke', '#cccccc');
+            path.setAttribute('stroke-width', size * 0.05);
+            svg.appendChild(path);
+        }
+    }
+    
+    return svg;
+}
+
+// ============================================================================
+// Project Library
+// ============================================================================
+
+const PROJECT_DB_NAME = 'hexQuiltDesigner';
+const PROJECT_DB_VERSION = 3;
+const PROJECT_STORE = 'projects';
+const AUTOSAVE_STORE = 'autosaves';  // added in version 2
+
+// Single-slot browser save used before the project library
+const LEGACY_SAVE_KEY = 'hexQuiltDesigner';
+
+/**
+ * Open the project database, creating the stores on first use
+ */
+function openProjectDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(PROJECT_DB_NAME, PROJECT_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            for (const name of [PROJECT_STORE, AUTOSAVE_STORE, STAMP_STORE]) {
+                if (!db.objectStoreNames.contains(name)) {
+                    db.createObjectStore(name, { keyPath: 'id', autoIncrement: true });
+                }
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run one request against a library store; resolves with its result
+ * once the transaction has committed
+ */
+async function libraryRequest(storeName, mode, makeRequest) {
+    const db = await openProjectDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * All projects, most recently modified first
+ */
+async function listProjects() {
+    const projects = await libraryRequest(PROJECT_STORE, 'readonly', store => store.getAll());
+    return projects.sort((a, b) => b.modified - a.modified);
+}
+
+/**
+ * One project record by id
+ */
+function getProject(id) {
+    return libraryRequest(PROJECT_STORE, 'readonly', store => store.get(id));
+}
+
+/**
+ * Insert or update a project record; resolves with its id
+ */
+function putProject(project) {
+    return libraryRequest(PROJECT_STORE, 'readwrite', store => store.put(project));
+}
+
+/**
+ * Delete a project record
+ */
+function removeProject(id) {
+    return libraryRequest(PROJECT_STORE, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * New project record for design data
+ */
+function createProjectRecord(name, design) {
+    const now = Date.now();
+    return {
+        name,
+        created: now,
+        modified: now,
+        thumbnail: new XMLSerializer().serializeToString(createDesignThumbnail(design, 240, 160)),
+        design
+    };
+}
+
+/**
+ * Save the current design to its project, asking for a name the first time
+ */
+async function saveProject() {
+    try {
+        const design = serializeDesign();
+        const existing = state.projectId !== null ? await getProject(state.projectId) : null;
+        
+        if (existing) {
+            existing.design = design;
+            existing.thumbnail = createProjectRecord(existing.name, design).thumbnail;
+            existing.modified = Date.now();
+            await putProject(existing);
+        } else {
+            const name = prompt('Project name', state.projectName || 'Untitled quilt');
+            if (!name) return;
+            
+            state.projectId = await putProject(createProjectRecord(name, design));
+            state.projectName = name;
+        }
+        
+        // The saved project now matches the design; a pending autosave would look like newer work
+        clearTimeout(state.autosaveTimer);
+        markDesignSaved();
+        updateProjectTitle();
+        setStatus(`Saved "${state.projectName}"`);
+    } catch (error) {
+        console.error('Failed to save project:', error);
+        setStatus('Failed to save project: ' + error.message);
+    }
+}
+
+/**
+ * Save the current design as a new project, keeping the old one as it was
+ */
+async function saveProjectAsNew() {
+    const name = prompt('New project name', state.projectName ? `${state.projectName} (copy)` : 'Untitled quilt');
+    if (!name) return;
+    
+    try {
+        state.projectId = await putProject(createProjectRecord(name, serializeDesign()));
+        state.projectName = name;
+        clearTimeout(state.autosaveTimer);
+        markDesignSaved();
+        updateProjectTitle();
+        renderProjectGallery();
+        setStatus(`Saved "${name}"`);
+    } catch (error) {
+        console.error('Failed to save project:', error);
+        setStatus('Failed to save project: ' + error.message);
+    }
+}
+
+/**
+ * Replace the current design with a saved project
+ */
+async function openProject(id) {
+    try {
+        const project = await getProject(id);
+        const { data, errors } = readDesign(project.design);
+        if (errors.length > 0) {
+            console.error('Project is invalid:', errors);
+            setStatus(`"${project.name}" is invalid: ${errors[0]}` +
+                (errors.length > 1 ? ` (and ${errors.length - 1} more problems)` : ''));
+            return;
+        }
+        
+        applyDesign(data);
+        state.projectId = project.id;
+        state.projectName = project.name;
+        markDesignSaved();
+        updateProjectTitle();
+        closeProjectGallery();
+        setStatus(`Opened "${project.name}"`);
+    } catch (error) {
+        console.error('Failed to open project:', error);
+        setStatus('Failed to open project: ' + error.message);
+    }
+}
+
+/**
+ * Copy a project under a new name
+ */
+async function duplicateProject(id) {
+    try {
+        const project = await getProject(id);
+        const copy = createProjectRecord(`${project.name} (copy)`, project.design);
+        copy.thumbnail = project.thumbnail;
+        await putProject(copy);
+        renderProjectGallery();
+        setStatus(`Duplicated "${project.name}"`);
+    } catch (error) {
+        console.error('Failed to duplicate project:', error);
+        setStatus('Failed to duplicate project: ' + error.message);
+    }
+}
+
+/**
+ * Ask for a new project name
+ */
+async function renameProject(id) {
+    try {
+        const project = await getProject(id);
+        const name = prompt('Rename project', project.name);
+        if (!name || name === project.name) return;
+        
+        project.name = name;
+        await putProject(project);
+        if (state.projectId === id) {
+            state.projectName = name;
+            updateProjectTitle();
+        }
+        renderProjectGallery();
+        setStatus(`Renamed to "${name}"`);
+    } catch (error) {
+        console.error('Failed to rename project:', error);
+        setStatus('Failed to rename project: ' + error.message);
+    }
+}
+
+/**
+ * Delete a project. An open design stays on screen, detached from the library.
+ */
+async function deleteProject(id) {
+    try {
+        const project = await getProject(id);
+        if (!confirm(`Delete "${project.name}"? This cannot be undone.`)) return;
+        
+        await removeProject(id);
+        if (state.projectId === id) {
+            state.projectId = null;
+            updateProjectTitle();
+        }
+        renderProjectGallery();
+        setStatus(`Deleted "${project.name}"`);
+    } catch (error) {
+        console.error('Failed to delete project:', error);
+        setStatus('Failed to delete project: ' + error.message);
+    }
+}
+
+/**
+ * Show the current project's name above the canvas
+ */
+function updateProjectTitle() {
+    const title = document.getElementById('project-title');
+    title.textContent = state.projectId !== null ? state.projectName : 'Unsaved design';
+    title.classList.toggle('unsaved', state.projectId === null);
+}
+
+/**
+ * Open the project gallery modal
+ */
+function openProjectGallery() {
+    document.getElementById('project-modal').classList.add('visible');
+    renderProjectGallery();
+}
+
+/**
+ * Close the project gallery modal
+ */
+function closeProjectGallery() {
+    document.getElementById('project-modal').classList.remove('visible');
+}
+
+/**
+ * Render a card per project: thumbnail, name, dates and actions
+ */
+async function renderProjectGallery() {
+    const gallery = document.getElementById('project-gallery');
+    
+    let projects;
+    try {
+        projects = await listProjects();
+    } catch (error) {
+        console.error('Failed to list projects:', error);
+        gallery.innerHTML = `<p class="upload-hint">Project library unavailable: ${error.message}</p>`;
+        return;
+    }
+    
+    gallery.innerHTML = '';
+    if (projects.length === 0) {
+        gallery.innerHTML = '<p class="upload-hint">No saved projects yet</p>';
+        return;
+    }
+    
+    for (const project of projects) {
+        const card = document.createElement('div');
+        card.className = 'project-card' + (project.id === state.projectId ? ' current' : '');
+        
+        const thumb = document.createElement('img');
+        thumb.className = 'project-thumb';
+        thumb.alt = '';
+        thumb.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(project.thumbnail);
+        thumb.addEventListener('click', () => openProject(project.id));
+        card.appendChild(thumb);
+        
+        const name = document.createElement('div');
+        name.className = 'project-name';
+        name.textContent = project.name;
+        card.appendChild(name);
+        
+        const dates = document.createElement('div');
+        dates.className = 'project-dates';
+        dates.textContent = `Created ${new Date(project.created).toLocaleDateString()} · ` +
+            `Modified ${new Date(project.modified).toLocaleString()}`;
+        card.appendChild(dates);
+        
+        const actions = document.createElement('div');
+        actions.className = 'project-actions';
+        const buttons = [
+            ['Open', openProject],
+            ['Duplicate', duplicateProject],
+            ['Rename', renameProject],
+            ['Delete', deleteProject]
+        ];
+        for (const [label, action] of buttons) {
+            const button = document.createElement('button');
+            button.className = 'btn btn-small';
+            button.textContent = label;
+            button.addEventListener('click', () => action(project.id));
+            actions.appendChild(button);
+        }
+        card.appendChild(actions);
+        
+        gallery.appendChild(card);
+    }
+}
+
+/**
+ * Move the old single-slot localStorage save into the library on first run.
+ * The slot is only cleared once the project has been stored.
+ */
+async function migrateLegacySave() {
+    const saved = localStorage.getItem(LEGACY_SAVE_KEY);
+    if (!saved) return;
+    
+    try {
+        let result;
+        try {
+            result = readDesign(JSON.parse(saved));
+        } catch (error) {
+            result = { data: null, from: null, errors: [`Not valid JSON (${error.message})`] };
+        }
+        
+        // Keep an invalid save in place and let the user download it to fix by hand
+        if (result.errors.length > 0) {
+            console.error('Old browser save is invalid, not migrated:', result.errors);
+            state.legacySaveJSON = saved;
+            openImportPreview('Your old browser save', result);
+            setStatus('Your old browser save could not be moved to the project library — download it to keep it');
+            return;
+        }
+        
+        const { data } = result;
+        await putProject(createProjectRecord('Saved design', data));
+        localStorage.removeItem(LEGACY_SAVE_KEY);
+        setStatus('Your browser save was moved to the project library');
+    } catch (error) {
+        console.error('Failed to migrate browser save:', error);
+    }
+}
+
+// ============================================================================
+// Autosave
+// ============================================================================
+
+const AUTOSAVE_DELAY = 2000;     // ms of quiet after the last change
+const AUTOSAVE_SNAPSHOTS = 10;   // snapshots kept for restoring
+
+/**
+ * Autosave a few seconds after the design last changed. Startup waits for
+ * the recovery check so a fresh grid can't bury the previous session's work.
+ */
+function scheduleAutosave() {
+    if (!state.autosaveReady) return;
+    
+    clearTimeout(state.autosaveTimer);
+    state.autosaveTimer = setTimeout(autosave, AUTOSAVE_DELAY);
+}
+
+/**
+ * Store a snapshot of the current design and drop the oldest ones
+ */
+async function autosave() {
+    state.autosaveTimer = null;
+    const design = serializeDesign();
+    
+    // Nothing new since the last save, open or snapshot (e.g. undo back to it)
+    const json = JSON.stringify(design);
+    if (json === state.savedDesignJSON) return;
+    
+    const snapshot = {
+        time: Date.now(),
+        projectId: state.projectId,
+        projectName: state.projectId !== null ? state.projectName : null,
+        thumbnail: new XMLSerializer().serializeToString(createDesignThumbnail(design, 120, 80)),
+        dismissed: false,
+        design
+    };
+    
+    try {
+        await libraryRequest(AUTOSAVE_STORE, 'readwrite', store => {
+            store.add(snapshot);
+            const keys = store.getAllKeys();
+            keys.onsuccess = () => {
+                keys.result.slice(0, -AUTOSAVE_SNAPSHOTS).forEach(key => store.delete(key));
+            };
+            return keys;
+        });
+        // Only once stored, so a failed write is retried on the next change
+        state.savedDesignJSON = json;
+    } catch (error) {
+        console.error('Autosave failed:', error);
+    }
+}
+
+/**
+ * Remember the current design as stored, so autosave skips it until it changes
+ */
+function markDesignSaved() {
+    state.savedDesignJSON = JSON.stringify(serializeDesign());
+}
+
+/**
+ * Autosave snapshots, newest first
+ */
+async function listAutosaves() {
+    const snapshots = await libraryRequest(AUTOSAVE_STORE, 'readonly', store => store.getAll());
+    return snapshots.sort((a, b) => b.time - a.time);
+}
+
+/**
+ * On startup, offer to recover the newest autosave if it is newer than the
+ * last explicit project save
+ */
+async function checkAutosaveRecovery() {
+    try {
+        const [latest] = await listAutosaves();
+        if (!latest || latest.dismissed) return;
+        
+        const [lastSaved] = await listProjects();
+        if (lastSaved && lastSaved.modified >= latest.time) return;
+        
+        state.autosaveRecoveryId = latest.id;
+        openAutosaveDialog(`Unsaved work from ${new Date(latest.time).toLocaleString()} was found. ` +
+            'Restore it, or close this to keep the new design.');
+    } catch (error) {
+        console.error('Autosave recovery check failed:', error);
+    }
+}
+
+/**
+ * Startup: open a shared link if there is one, then offer to recover unsaved
+ * work (a shared design mustn't hide it); autosave starts once that's settled
+ */
+async function restoreSession() {
+    await loadSharedDesign();
+    await checkAutosaveRecovery();
+    state.autosaveReady = true;
+}
+
+/**
+ * Open the snapshot list, with an optional message above it
+ */
+function openAutosaveDialog(message = '') {
+    const text = document.getElementById('autosave-message');
+    text.textContent = message;
+    text.style.display = message ? '' : 'none';
+    document.getElementById('autosave-modal').classList.add('visible');
+    renderAutosaveList();
+}
+
+/**
+ * Close the snapshot list. Closing the startup prompt dismisses that
+ * snapshot so it isn't offered again (it stays in the list).
+ */
+async function closeAutosaveDialog() {
+    document.getElementById('autosave-modal').classList.remove('visible');
+    
+    const id = state.autosaveRecoveryId;
+    state.autosaveRecoveryId = null;
+    if (id === null) return;
+    
+    try {
+        const snapshot = await libraryRequest(AUTOSAVE_STORE, 'readonly', store => store.get(id));
+        if (snapshot) {
+            snapshot.dismissed = true;
+            await libraryRequest(AUTOSAVE_STORE, 'readwrite', store => store.put(snapshot));
+        }
+    } catch (error) {
+        console.error('Failed to dismiss autosave:', error);
+    }
+}
+
+/**
+ * Render a row per snapshot: thumbnail, time, project and a restore button
+ */
+async function renderAutosaveList() {
+    const list = document.getElementById('autosave-list');
+    
+    let snapshots;
+    try {
+        snapshots = await listAutosaves();
+    } catch (error) {
+        console.error('Failed to list autosaves:', error);
+        list.innerHTML = `<p class="upload-hint">Autosaves unavailable: ${error.message}</p>`;
+        return;
+    }
+    
+    list.innerHTML = '';
+    if (snapshots.length === 0) {
+        list.innerHTML = '<p class="upload-hint">No autosaves yet</p>';
+        return;
+    }
+    
+    for (const snapshot of snapshots) {
+        const item = document.createElement('div');
+        item.className = 'autosave-item';
+        
+        const thumb = document.createElement('img');
+        thumb.className = 'autosave-thumb';
+        thumb.alt = '';
+        thumb.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(snapshot.thumbnail);
+        item.appendChild(thumb);
+        
+        const info = document.createElement('div');
+        info.className = 'autosave-info';
+        info.textContent = `${new Date(snapshot.time).toLocaleString()} · ${snapshot.projectName || 'Unsaved design'}`;
+        item.appendChild(info);
+        
+        const button = document.createElement('button');
+        button.className = 'btn btn-small';
+        button.textContent = 'Restore';
+        button.addEventListener('click', () => restoreAutosave(snapshot));
+        item.appendChild(button);
+        
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Replace the current design with an autosave snapshot, reattached to its
+ * project if that still exists
+ */
+async function restoreAutosave(snapshot) {
+    const { data, errors } = readDesign(snapshot.design);
+    if (errors.length > 0) {
+        console.error('Autosave is invalid:', errors);
+        setStatus(`Autosave is invalid: ${errors[0]}`);
+        return;
+    }
+    
+    let project = null;
+    try {
+        project = snapshot.projectId !== null ? await getProject(snapshot.projectId) : null;
+    } catch (error) {
+        console.error('Failed to look up project:', error);
+    }
+    
+    state.autosaveRecoveryId = null;
+    document.getElementById('autosave-modal').classList.remove('visible');
+    applyDesign(data);
+    state.projectId = project ? project.id : null;
+    state.projectName = project ? project.name : null;
+    markDesignSaved();
+    updateProjectTitle();
+    setStatus(`Restored autosave from ${new Date(snapshot.time).toLocaleString()}`);
+}
+
+// ============================================================================
+// Share Links
+// ============================================================================
+
+const SHARE_LINK_PREFIX = '#design=';
+const SHARE_FORMAT_VERSION = 1;
+const SHARE_LINK_WARN_LENGTH = 2000;  // longer links get cut off or rejected by some chat apps
+const SHARE_MAX_GRID_SIDE = 1000;     // links come from anywhere: refuse to expand absurd grids
+
+/**
+ * Compact form of design data for links: palette as [id, rrggbb, total],
+ * grid as run-length [code, count] pairs where code packs the palette index
+ * (0 = empty) with the locked and masked flags
+ */
+function encodeShareDesign(design) {
+    const colorIndex = new Map(design.colors.map((colorObj, i) => [colorObj.id, i]));
+    const runs = [];
+    for (const cell of design.grid) {
+        const paletteCode = cell.colorId === null ? 0 : colorIndex.get(cell.colorId) + 1;
+        const code = paletteCode * 4 + (cell.locked ? 2 : 0) + (cell.masked ? 1 : 0);
+        if (runs.length > 0 && runs[runs.length - 2] === code) {
+            runs[runs.length - 1]++;
+        } else {
+            runs.push(code, 1);
+        }
+    }
+    
+    return {
+        v: SHARE_FORMAT_VERSION,
+        s: [design.hexRealSize, design.quiltWidth, design.quiltHeight, design.unit, design.layout,
+            design.trimEdges ? 1 : 0, design.fabricWidth, design.seamAllowance],
+        d: [design.cols, design.rows],
+        c: design.colors.map(colorObj => [colorObj.id, colorObj.color.slice(1), colorObj.total]),
+        n: design.nextColorId,
+        g: runs,
+        a: design.anchors.map(anchor => [anchor.row, anchor.col, anchor.colorId, anchor.strength, anchor.radius]),
+        r: getGradientSettings()
+    };
+}
+
+/**
+ * Expand a compact link design back into design data (still to be validated)
+ */
+function decodeShareDesign(compact) {
+    if (!compact || compact.v !== SHARE_FORMAT_VERSION) {
+        throw new Error('This share link was made by a different version of the app');
+    }
+    
+    try {
+        const [hexRealSize, quiltWidth, quiltHeight, unit, layout, trimEdges, fabricWidth, seamAllowance] = compact.s;
+        const colors = compact.c.map(([id, color, total]) => ({ id, color: `#${color}`, total }));
+        
+        // Check the size and run lengths before expanding anything
+        const [cols, rows] = compact.d;
+        const isSide = value => Number.isInteger(value) && value > 0 && value <= SHARE_MAX_GRID_SIDE;
+        if (!isSide(cols) || !isSide(rows)) throw new Error('bad grid size');
+        if (!Array.isArray(compact.g)) throw new Error('missing grid');
+        
+        const grid = [];
+        for (let i = 0; i < compact.g.length; i += 2) {
+            const code = compact.g[i];
+            const count = compact.g[i + 1];
+            if (!Number.isInteger(code) || code < 0) throw new Error(`bad cell code ${code}`);
+            if (!Number.isInteger(count) || count <= 0 || grid.length + count > cols * rows) {
+                throw new Error('bad run length');
+            }
+            
+            const paletteCode = code >> 2;
+            const colorObj = paletteCode > 0 ? colors[paletteCode - 1] : null;
+            if (colorObj === undefined) throw new Error(`bad palette index ${paletteCode}`);
+            
+            for (let n = 0; n < count; n++) {
+                grid.push({
+                    color: colorObj ? colorObj.color : null,
+                    colorId: colorObj ? colorObj.id : null,
+                    locked: (code & 2) !== 0,
+                    masked: (code & 1) !== 0
+                });
+            }
+        }
+        
+        // Only the known gradient settings, so a link can't overwrite other fields
+        const gradient = {};
+        for (const key of Object.keys(getGradientSettings())) {
+            if (compact.r && key in compact.r) {
+                gradient[key] = compact.r[key];
+            }
+        }
+        
+        return {
+            version: DESIGN_VERSION,
+            hexRealSize,
+            quiltWidth,
+            quiltHeight,
+            unit,
+            layout,
+            trimEdges: trimEdges === 1,
+            fabricWidth,
+            seamAllowance,
+            cols,
+            rows,
+            hexSize: 30,
+            grid,
+            colors,
+            nextColorId: compact.n,
+            anchors: compact.a.map(([row, col, colorId, strength, radius]) => ({ row, col, colorId, strength, radius })),
+            showNumbers: false,
+            ...gradient
+        };
+    } catch (error) {
+        throw new Error(`Share link is damaged (${error.message})`);
+    }
+}
+
+/**
+ * Deflate text and encode it as URL-safe base64
+ */
+async function compressToBase64Url(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    
+    // String.fromCharCode in chunks; spreading a huge array overflows the stack
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Reverse of compressToBase64Url
+ */
+async function decompressFromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+}
+
+/**
+ * Copy a link that opens the current design, warning when it gets long
+ */
+async function copyShareLink() {
+    let url;
+    try {
+        const encoded = await compressToBase64Url(JSON.stringify(encodeShareDesign(serializeDesign())));
+        url = location.href.split('#')[0] + SHARE_LINK_PREFIX + encoded;
+    } catch (error) {
+        console.error('Failed to create share link:', error);
+        setStatus('Failed to create share link: ' + error.message);
+        return;
+    }
+    
+    let copied = true;
+    try {
+        await navigator.clipboard.writeText(url);
+    } catch (error) {
+        copied = false;
+        prompt('Copy this share link:', url);
+    }
+    
+    if (url.length > SHARE_LINK_WARN_LENGTH) {
+        setStatus(`Share link ${copied ? 'copied' : 'created'}, but at ${url.length} characters it may be ` +
+            'too long for some chat apps — send an exported design file instead');
+    } else {
+        setStatus(`Share link ${copied ? 'copied' : 'created'} (${url.length} characters)`);
+    }
+}
+
+/**
+ * Load a design from a share link in the URL fragment. Resolves true if the
+ * page was opened from a link (even a broken one, whose problems are shown).
+ */
+async function loadSharedDesign() {
+    if (!location.hash.startsWith(SHARE_LINK_PREFIX)) return false;
+    
+    const encoded = location.hash.slice(SHARE_LINK_PREFIX.length);
+    
+    // Edits shouldn't be replaced by the shared design on reload
+    history.replaceState(null, '', location.href.split('#')[0]);
+    
+    let result;
+    try {
+        let compact;
+        try {
+            compact = JSON.parse(await decompressFromBase64Url(encoded));
+        } catch (error) {
+            throw new Error(`Share link is incomplete or damaged (${error.message})`);
+        }
+        result = readDesign(decodeShareDesign(compact));
+    } catch (error) {
+        result = { data: null, from: null, errors: [error.message] };
+    }
+    
+    if (result.errors.length > 0) {
+        openImportPreview('Shared link', result);
+        return true;
+    }
+    
+    applyDesign(result.data);
+    
+    // Nothing to snapshot until it's edited
+    markDesignSaved();
+    setStatus('Loaded shared design');
+    return true;
+}
+
+// ============================================================================
+// PDF Pattern Export
+// ============================================================================
+
+/**
+ * Paper sizes in PDF points (1/72 inch)
+ */
+const PDF_PAPER_SIZES = {
+    letter: { width: 612, height: 792 },
+    a4: { width: 595.28, height: 841.89 }
+};
+
+const PDF_MARGIN = 36;        // 1/2 inch around the printable area
+const PDF_HEADER = 24;        // space for the page title above the printable area
+const PDF_OVERLAP = 28.35;    // 1 cm shared by neighbouring map pages
+const PDF_POINTS_PER_MM = 72 / 25.4;
+
+/**
+ * Export a printable pattern: the quilt map tiled across pages with overlap
+ * marks, a legend page and a row-by-row assembly guide. The PDF is written
+ * by hand so it works offline without any library.
+ */
+function exportPDF() {
+    const paper = PDF_PAPER_SIZES[document.getElementById('pdf-paper').value] || PDF_PAPER_SIZES.letter;
+    const hexMillimeters = parseFloat(document.getElementById('pdf-hex-size').value) || 12;
+    const options = {
+        showGrid: document.getElementById('export-show-grid').checked,
+        showNumbers: document.getElementById('export-show-numbers').checked,
+        hideColors: document.getElementById('export-hide-colors').checked
+    };
+    
+    const pages = [
+        ...buildPdfMapPages(paper, hexMillimeters * PDF_POINTS_PER_MM / 2, options),
+        ...buildPdfLegendPages(paper),
+        ...buildPdfAssemblyPages(paper)
+    ];
+    
+    const pdf = createPdfDocument(pages, paper);
+    const blob = new Blob([pdf], { type: 'application/pdf' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.download = 'hex-quilt-pattern.pdf';
+    link.href = url;
+    link.click();
+    
+    URL.revokeObjectURL(url);
+    setStatus(`PDF exported (${pages.length} page${pages.length > 1 ? 's' : ''})`);
+}
+
+/**
+ * Quilt map tiles. Each page shows a window of the map; neighbouring windows
+ * overlap by PDF_OVERLAP and a dashed line marks where the next page lines up.
+ */
+function buildPdfMapPages(paper, size, options) {
+    const printWidth = paper.width - 2 * PDF_MARGIN;
+    const printHeight = paper.height - 2 * PDF_MARGIN - PDF_HEADER;
+    const map = calculateCanvasSize(state.cols, state.rows, size);
+    
+    const stepX = printWidth - PDF_OVERLAP;
+    const stepY = printHeight - PDF_OVERLAP;
+    const across = Math.max(1, Math.ceil((map.width - PDF_OVERLAP) / stepX));
+    const down = Math.max(1, Math.ceil((map.height - PDF_OVERLAP) / stepY));
+    const trimRect = state.trimFractions ? getTrimRect(size) : null;
+    const pages = [];
+    
+    for (let tileRow = 0; tileRow < down; tileRow++) {
+        for (let tileCol = 0; tileCol < across; tileCol++) {
+            const left = tileCol * stepX;
+            const top = tileRow * stepY;
+            const pageNumber = tileRow * across + tileCol + 1;
+            
+            // Map coordinates (y down) to PDF coordinates (y up) on this page
+            const toPage = (x, y) => ({
+                x: PDF_MARGIN + x - left,
+                y: paper.height - PDF_MARGIN - PDF_HEADER - (y - top)
+            });
+            const ops = [];
+            
+            ops.push(pdfText(PDF_MARGIN, paper.height - PDF_MARGIN - 12, 11, 'F2',
+                `Quilt map - page ${pageNumber} of ${across * down} (row ${tileRow + 1}, column ${tileCol + 1})`));
+            
+            // Clip to the printable area (and the trimmed quilt edge)
+            ops.push('q');
+            ops.push(`${pdfNumber(PDF_MARGIN)} ${pdfNumber(PDF_MARGIN)} ${pdfNumber(printWidth)} ${pdfNumber(printHeight)} re W n`);
+            if (trimRect) {
+                const corner = toPage(trimRect.x, trimRect.y + trimRect.height);
+                ops.push(`${pdfNumber(corner.x)} ${pdfNumber(corner.y)} ${pdfNumber(trimRect.width)} ${pdfNumber(trimRect.height)} re W n`);
+            }
+            ops.push('0 G 0.5 w');
+            
+            for (let row = 0; row < state.rows; row++) {
+                for (let col = 0; col < state.cols; col++) {
+                    const cell = getCell(row, col);
+                    const center = hexToPixel(col, row, size);
+                    if (cell.masked) continue;
+                    
+                    // Skip hexes that don't reach this page
+                    if (center.x + size < left || center.x - size > left + printWidth ||
+                        center.y + size < top || center.y - size > top + printHeight) {
+                        continue;
+                    }
+                    
+                    const corners = hexCorners(center.x, center.y, size).map(p => toPage(p.x, p.y));
+                    const fill = options.hideColors || !cell.color ? '#ffffff' : cell.color;
+                    ops.push(`${pdfColor(fill)} rg`);
+                    ops.push(pdfPolygon(corners) + (options.showGrid ? ' b' : ' f'));
+                    
+                    if (options.showNumbers && cell.colorId !== null) {
+                        const textColor = options.hideColors ? '#000000' : (isLightColor(cell.color) ? '#4a4540' : '#ffffff');
+                        const label = String(cell.colorId);
+                        const fontSize = size * 0.7;
+                        const p = toPage(center.x, center.y);
+                        
+                        // Helvetica digits are 0.556 em wide
+                        ops.push(`${pdfColor(textColor)} rg`);
+                        ops.push(pdfText(p.x - label.length * 0.556 * fontSize / 2, p.y - fontSize * 0.35, fontSize, 'F1', label));
+                    }
+                }
+            }
+            
+            if (trimRect) {
+                const corner = toPage(trimRect.x, trimRect.y + trimRect.height);
+                ops.push(`0 G 1 w ${pdfNumber(corner.x)} ${pdfNumber(corner.y)} ${pdfNumber(trimRect.width)} ${pdfNumber(trimRect.height)} re S`);
+            }
+            ops.push('Q');
+            
+            // Overlap marks: line the next page's edge up with the dashed line
+            ops.push('q [4 3] 0 d 0.5 w 0.4 0.4 0.4 RG 0.4 0.4 0.4 rg');
+            if (tileCol < across - 1) {
+                const x = PDF_MARGIN + stepX;
+                ops.push(`${pdfNumber(x)} ${pdfNumber(PDF_MARGIN)} m ${pdfNumber(x)} ${pdfNumber(PDF_MARGIN + printHeight)} l S`);
+                ops.push(pdfText(x + 2, PDF_MARGIN - 10, 7, 'F1', `page ${pageNumber + 1} starts here`));
+            }
+            if (tileRow < down - 1) {
+                const y = PDF_MARGIN + printHeight - stepY;
+                ops.push(`${pdfNumber(PDF_MARGIN)} ${pdfNumber(y)} m ${pdfNumber(PDF_MARGIN + printWidth)} ${pdfNumber(y)} l S`);
+                ops.push(pdfText(PDF_MARGIN, y - 9, 7, 'F1', `page ${pageNumber + across} starts here`));
+            }
+            ops.push('Q');
+            
+            pages.push(ops.join('\n'));
+        }
+    }
+    
+    return pages;
+}
+
+/**
+ * Legend pages: quilt details and one line per palette color
+ */
+function buildPdfLegendPages(paper) {
+    const lineHeight = 20;
+    const top = paper.height - PDF_MARGIN;
+    const perPage = Math.floor((paper.height - 2 * PDF_MARGIN - 90) / lineHeight);
+    const pages = [];
+    
+    for (let start = 0; start === 0 || start < state.colors.length; start += perPage) {
+        const ops = [];
+        ops.push(pdfText(PDF_MARGIN, top - 12, 14, 'F2', 'Color legend'));
+        
+        if (start === 0) {
+            const finished = state.trimEdges
+                ? `${state.quiltWidth} x ${state.quiltHeight} ${state.unit}, trimmed to straight edges`
+                : `${state.quiltWidth} x ${state.quiltHeight} ${state.unit}`;
+            ops.push(pdfText(PDF_MARGIN, top - 32, 9, 'F1',
+                `Quilt ${finished} - ${state.hexRealSize} ${state.unit} hexes (point to point) - ${state.cols} x ${state.rows} grid, ${countActiveCells()} hexes`));
+        }
+        
+        ops.push(pdfText(PDF_MARGIN + 30, top - 58, 9, 'F2', 'Color'));
+        ops.push(pdfText(PDF_MARGIN + 90, top - 58, 9, 'F2', 'Hex'));
+        ops.push(pdfText(PDF_MARGIN + 170, top - 58, 9, 'F2', 'Placed'));
+        ops.push(pdfText(PDF_MARGIN + 230, top - 58, 9, 'F2', 'Available'));
+        
+        state.colors.slice(start, start + perPage).forEach((colorObj, i) => {
+            const y = top - 80 - i * lineHeight;
+            ops.push(`${pdfColor(colorObj.color)} rg 0 G 0.5 w ${PDF_MARGIN} ${pdfNumber(y - 4)} 20 14 re b`);
+            ops.push('0 g');
+            ops.push(pdfText(PDF_MARGIN + 30, y, 10, 'F2', `#${colorObj.id}`));
+            ops.push(pdfText(PDF_MARGIN + 90, y, 10, 'F3', colorObj.color));
+            ops.push(pdfText(PDF_MARGIN + 170, y, 10, 'F1', String(countColorUsage(colorObj.id))));
+            ops.push(pdfText(PDF_MARGIN + 230, y, 10, 'F1', String(colorObj.total)));
+        });
+        
+        pages.push(ops.join('\n'));
+    }
+    
+    return pages;
+}
+
+/**
+ * Assembly guide: color numbers row by row (column by column for flat-top
+ * layouts), indenting the offset rows by half a hex like the quilt itself.
+ * Empty hexes print as "-", trimmed border pieces get a "*".
+ */
+function buildPdfAssemblyPages(paper) {
+    const flat = isFlatTop();
+    const lines = flat ? state.cols : state.rows;
+    const length = flat ? state.rows : state.cols;
+    const fontSize = 8;
+    const charWidth = 0.6 * fontSize;  // Courier
+    const lineHeight = 11;
+    
+    const idWidth = Math.max(2, ...state.colors.map(c => String(c.id).length));
+    const entryWidth = idWidth + 2;
+    const labelWidth = String(lines).length + 3;
+    const maxChars = Math.floor((paper.width - 2 * PDF_MARGIN) / charWidth);
+    const perLine = Math.max(1, Math.floor((maxChars - labelWidth - 1) / entryWidth));
+    
+    const text = [];
+    for (let line = 0; line < lines; line++) {
+        const entries = [];
+        for (let i = 0; i < length; i++) {
+            const row = flat ? i : line;
+            const col = flat ? line : i;
+            const cell = getCell(row, col);
+            
+            let entry = cell.masked ? '' : cell.colorId !== null ? String(cell.colorId) : '-';
+            if (!cell.masked && getPieceKind(gridIndex(row, col)) !== 'full') {
+                entry += '*';
+            }
+            entries.push(entry.padStart(idWidth + 1).padEnd(entryWidth));
+        }
+        
+        // Shifted rows (or columns) start half a hex further in
+        const oddShifted = state.layout === 'odd-r' || state.layout === 'odd-q';
+        const shifted = (line & 1) === (oddShifted ? 1 : 0);
+        const indent = shifted ? ' '.repeat(Math.floor(entryWidth / 2)) : '';
+        const label = `${flat ? 'C' : 'R'}${line + 1}`.padEnd(labelWidth);
+        
+        for (let start = 0; start < entries.length; start += perLine) {
+            const prefix = start === 0 ? label : ' '.repeat(labelWidth);
+            text.push(prefix + indent + entries.slice(start, start + perLine).join('').trimEnd());
+        }
+    }
+    
+    const top = paper.height - PDF_MARGIN;
+    const perPage = Math.floor((paper.height - 2 * PDF_MARGIN - 50) / lineHeight);
+    const pages = [];
+    
+    for (let start = 0; start === 0 || start < text.length; start += perPage) {
+        const ops = [];
+        ops.push(pdfText(PDF_MARGIN, top - 12, 14, 'F2', `Assembly guide - ${flat ? 'column by column' : 'row by row'}`));
+        ops.push(pdfText(PDF_MARGIN, top - 28, 8, 'F1', 'Numbers are color numbers. - = empty hex, * = trimmed border piece. Offset lines are indented.'));
+        text.slice(start, start + perPage).forEach((line, i) => {
+            ops.push(pdfText(PDF_MARGIN, top - 48 - i * lineHeight, fontSize, 'F3', line));
+        });
+        pages.push(ops.join('\n'));
+    }
+    
+    return pages;
+}
+
+/**
+ * Points per unit of length for the current design unit
+ */
+function pdfPointsPerUnit() {
+    return state.unit === 'cm' ? 72 / 2.54 : 72;
+}
+
+/**
+ * Export English paper piecing templates at true size: the finished hex
+ * (paper template) with the fabric cutting line at the seam allowance around
+ * it, honeycomb-packed onto pages, plus a calibration square on page one
+ */
+function exportTemplatesPDF() {
+    const paper = PDF_PAPER_SIZES[document.getElementById('pdf-paper').value] || PDF_PAPER_SIZES.letter;
+    const seam = Math.max(0, parseFloat(document.getElementById('epp-seam').value) || 0);
+    const showNumbers = document.getElementById('epp-numbers').checked;
+    
+    // One template per hex in the quilt, grouped by color so they match the map
+    const labels = [];
+    for (const colorObj of state.colors) {
+        const count = state.grid.filter(cell => cell.colorId === colorObj.id && !cell.masked).length;
+        for (let i = 0; i < count; i++) {
+            labels.push(showNumbers ? String(colorObj.id) : '');
+        }
+    }
+    const emptyCount = state.grid.filter(cell => cell.colorId === null && !cell.masked).length;
+    for (let i = 0; i < emptyCount; i++) {
+        labels.push('');
+    }
+    
+    const pages = buildTemplatePages(paper, seam, labels);
+    if (!pages) {
+        setStatus('Template with seam allowance is larger than the page');
+        return;
+    }
+    
+    const pdf = createPdfDocument(pages, paper);
+    const blob = new Blob([pdf], { type: 'application/pdf' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.download = 'hex-quilt-templates.pdf';
+    link.href = url;
+    link.click();
+    
+    URL.revokeObjectURL(url);
+    setStatus(`Templates exported (${labels.length} hexes on ${pages.length} page${pages.length > 1 ? 's' : ''}) — print at 100% / actual size`);
+}
+
+/**
+ * Lay out the templates on pages. Returns the page content streams, or null
+ * if a single template doesn't fit on the paper.
+ */
+function buildTemplatePages(paper, seam, labels) {
+    const pointsPerUnit = pdfPointsPerUnit();
+    
+    // hexRealSize is point-to-point; offsetting each side by the seam allowance
+    // grows the center-to-point radius by seam / cos(30°)
+    const finished = state.hexRealSize / 2 * pointsPerUnit;
+    const outer = finished + seam * pointsPerUnit * 2 / Math.sqrt(3);
+    const gap = 4;
+    
+    // Honeycomb packing: pointy-top rows, every other row shifted half a hex.
+    // When a shifted row can't hold a hex, rows are stacked point to point instead.
+    const hexWidth = Math.sqrt(3) * outer;
+    const spacingX = hexWidth + gap;
+    const printWidth = paper.width - 2 * PDF_MARGIN;
+    const perRow = Math.floor((printWidth - hexWidth) / spacingX) + 1;
+    const perShiftedRow = Math.floor((printWidth - hexWidth - spacingX / 2) / spacingX) + 1;
+    const rowShift = perShiftedRow >= 1 ? spacingX / 2 : 0;
+    const spacingY = perShiftedRow >= 1 ? 1.5 * outer + gap * Math.sqrt(3) / 2 : 2 * outer + gap;
+    const printTop = paper.height - PDF_MARGIN - PDF_HEADER;
+    
+    // Page one reserves a band for the calibration square
+    const calibration = state.unit === 'cm' ? 2 : 1;
+    const calibrationSize = calibration * pointsPerUnit;
+    
+    const rowsFor = (height) => Math.floor((height - 2 * outer) / spacingY) + 1;
+    const firstRows = rowsFor(printTop - PDF_MARGIN - calibrationSize - 20);
+    const otherRows = rowsFor(printTop - PDF_MARGIN);
+    if (perRow < 1 || otherRows < 1) return null;
+    
+    const pages = [];
+    let next = 0;
+    
+    while (pages.length === 0 || next < labels.length) {
+        const first = pages.length === 0;
+        const ops = [];
+        const title = `Hex templates - ${state.hexRealSize} ${state.unit} finished, ` +
+            `${seam} ${state.unit} seam allowance - page ${pages.length + 1}`;
+        ops.push('0 g');
+        ops.push(pdfText(PDF_MARGIN, paper.height - PDF_MARGIN - 12, 11, 'F2', title));
+        
+        let top = printTop;
+        if (first) {
+            // Calibration square: if it doesn't measure exactly, the printer scaled the page
+            const y = top - calibrationSize;
+            ops.push(`0 G 1 w ${PDF_MARGIN} ${pdfNumber(y)} ${pdfNumber(calibrationSize)} ${pdfNumber(calibrationSize)} re S`);
+            ops.push(pdfText(PDF_MARGIN + calibrationSize + 8, y + calibrationSize / 2 + 4, 9, 'F2',
+                `This square must measure ${calibration} ${state.unit} x ${calibration} ${state.unit}.`));
+            ops.push(pdfText(PDF_MARGIN + calibrationSize + 8, y + calibrationSize / 2 - 8, 8, 'F1',
+                'Print at 100% / actual size. Solid line: paper template. Dashed line: fabric cutting line.'));
+            top = y - 20;
+        }
+        
+        const rows = first ? firstRows : otherRows;
+        for (let row = 0; row < rows && next < labels.length; row++) {
+            const shift = row % 2 === 1 ? rowShift : 0;
+            const count = shift > 0 ? perShiftedRow : perRow;
+            
+            for (let col = 0; col < count && next < labels.length; col++) {
+                const cx = PDF_MARGIN + hexWidth / 2 + col * spacingX + shift;
+                const cy = top - outer - row * spacingY;
+                const corners = (radius) => hexCorners(cx, cy, radius, false);
+                
+                if (seam > 0) {
+                    ops.push(`q [3 2] 0 d 0.5 w 0.3 0.3 0.3 RG ${pdfPolygon(corners(outer))} S Q`);
+                }
+                ops.push(`0 G 0.75 w ${pdfPolygon(corners(finished))} S`);
+                
+                const label = labels[next++];
+                if (label) {
+                    const fontSize = Math.min(24, finished * 0.5);
+                    ops.push(pdfText(cx - label.length * 0.556 * fontSize / 2, cy - fontSize * 0.35, fontSize, 'F1', label));
+                }
+            }
+        }
+        
+        pages.push(ops.join('\n'));
+    }
+    
+    return pages;
+}
+
+/**
+ * Write a PDF file from page content streams. Fonts: F1 Helvetica,
+ * F2 Helvetica-Bold, F3 Courier (standard fonts, nothing embedded).
+ */
+function createPdfDocument(pages, paper) {
+    const objects = [];
+    const fontIds = { F1: 3, F2: 4, F3: 5 };
+    const pageIds = pages.map((_, i) => 6 + i * 2);
+    
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+    
+    const fonts = Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+    pages.forEach((content, i) => {
+        const pageId = pageIds[i];
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pdfNumber(paper.width)} ${pdfNumber(paper.height)}] ` +
+            `/Resources << /Font << ${fonts} >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+    });
+    
+    // Content is plain ASCII, so string length equals byte offset
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = pdf.length;
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    
+    return pdf;
+}
+
+/**
+ * Text drawing operators at (x, y) in the given font
+ */
+function pdfText(x, y, size, font, text) {
+    return `BT /${font} ${pdfNumber(size)} Tf ${pdfNumber(x)} ${pdfNumber(y)} Td (${pdfEscape(text)}) Tj ET`;
+}
+
+/**
+ * Closed polygon path operators
+ */
+function pdfPolygon(points) {
+    return points.map((p, i) => `${pdfNumber(p.x)} ${pdfNumber(p.y)} ${i === 0 ? 'm' : 'l'}`).join(' ') + ' h';
+}
+
+/**
+ * Hex color as PDF "r g b" components
+ */
+function pdfColor(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    return [r, g, b].map(v => pdfNumber(v / 255)).join(' ');
+}
+
+/**
+ * Compact number formatting for PDF operators
+ */
+function pdfNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Escape a PDF string literal, keeping it ASCII
+ */
+function pdfEscape(text) {
+    return text.replace(/[^\x20-\x7e]/g, '?').replace(/[\\()]/g, '\\$&');
+}
+
+// ============================================================================
+// Cut File Export
+// ============================================================================
+
+/**
+ * Export a cutting-machine file: for every color in use, the placed hexes plus
+ * spares as cut outlines (finished size + seam allowance), packed onto mats.
+ * Everything goes into one SVG or DXF (browsers block a burst of downloads),
+ * with a layer per color and mat: one row of mats per color.
+ */
+function exportCutFiles() {
+    const matWidth = parseFloat(document.getElementById('cut-mat-width').value);
+    const matHeight = parseFloat(document.getElementById('cut-mat-height').value);
+    const spare = Math.max(0, parseInt(document.getElementById('cut-spare').value) || 0);
+    const format = document.getElementById('cut-format').value;
+    if (!(matWidth > 0) || !(matHeight > 0)) {
+        setStatus('Enter the mat size');
+        return;
     }
     
-    // Remove anchor markers and lock indicators from export
-    anchorMarkers.forEach(marker => marker.remove());
-    lockIndicators.forEach(indicator => indicator.remove());
-    
-    // Create canvas
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    
-    // Get SVG dimensions
-    const width = parseInt(svg.getAttribute('width'));
-    const height = parseInt(svg.getAttribute('height'));
-    
-    canvas.width = width * 2; // 2x resolution
-    canvas.height = height * 2;
-    ctx.scale(2, 2);
-    
-    // Draw white background
-    ctx.fillStyle = '#ffffff';
-    ctx.fillRect(0, 0, width, height);
-    
-    // Convert SVG to image
-    const svgData = new XMLSerializer().serializeToString(svgClone);
-    const svgBlob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
-    const url = URL.createObjectURL(svgBlob);
+    // hexRealSize is point-to-point; the seam allowance grows the radius by seam / cos(30°)
+    const radius = state.hexRealSize / 2 + state.seamAllowance * 2 / Math.sqrt(3);
+    const flatTop = isFlatTop();
+    const gap = state.unit === 'cm' ? 0.3 : 0.125;
+    const matSpacing = state.unit === 'cm' ? 2.5 : 1;
     
-    const img = new Image();
-    img.onload = function() {
-        ctx.drawImage(img, 0, 0);
-        URL.revokeObjectURL(url);
+    const layers = [];
+    let row = 0;
+    for (const colorObj of state.colors) {
+        const placed = countColorUsage(colorObj.id);
+        if (placed === 0) continue;
         
-        // Download
-        const link = document.createElement('a');
-        link.download = 'hex-quilt-design.png';
-        link.href = canvas.toDataURL('image/png');
-        link.click();
+        const mats = layoutCutHexes(placed + spare, matWidth, matHeight, radius, gap, flatTop);
+        if (!mats) {
+            setStatus('Hex with seam allowance is larger than the mat');
+            return;
+        }
         
-        setStatus('PNG exported');
-    };
-    img.src = url;
-}
-
-/**
- * Export design to JSON file
- */
-function exportToJSON() {
-    const data = {
-        version: '1.0',
-        hexRealSize: state.hexRealSize,
-        quiltWidth: state.quiltWidth,
-        quiltHeight: state.quiltHeight,
-        unit: state.unit,
-        cols: state.cols,
-        rows: state.rows,
-        hexSize: state.hexSize,
-        grid: state.grid,
-        colors: state.colors,
-        nextColorId: state.nextColorId,
-        anchors: state.anchors,
-        showNumbers: state.showNumbers
-    };
+        mats.forEach((centers, index) => {
+            layers.push({
+                name: `color-${colorObj.id}-mat-${index + 1}`,
+                colorObj,
+                centers,
+                x: index * (matWidth + matSpacing),
+                y: row * (matHeight + matSpacing)
+            });
+        });
+        row++;
+    }
     
-    // Create JSON blob
-    const jsonStr = JSON.stringify(data, null, 2);
-    const blob = new Blob([jsonStr], { type: 'application/json' });
+    if (layers.length === 0) {
+        setStatus('No colors placed yet');
+        return;
+    }
+    
+    const width = Math.max(...layers.map(layer => layer.x)) + matWidth;
+    const height = Math.max(...layers.map(layer => layer.y)) + matHeight;
+    const content = format === 'dxf'
+        ? createCutDXF(layers, radius, flatTop, height)
+        : createCutSVG(layers, radius, flatTop, width, height);
+    const blob = new Blob([content], { type: format === 'dxf' ? 'application/dxf' : 'image/svg+xml;charset=utf-8' });
     const url = URL.createObjectURL(blob);
     
-    // Download
     const link = document.createElement('a');
-    link.download = 'hex-quilt-design.json';
+    link.download = `hex-quilt-cut-files.${format}`;
     link.href = url;
     link.click();
     
     URL.revokeObjectURL(url);
-    setStatus('Design exported');
+    setStatus(`Cut file exported (${row} color${row > 1 ? 's' : ''} on ${layers.length} mat${layers.length > 1 ? 's' : ''}, ${spare} spare per color)`);
 }
 
 /**
- * Import design from JSON file
+ * Honeycomb-pack count hexes onto mats, with gap between neighbours.
+ * Returns one array of centers per mat, or null if a hex doesn't fit.
  */
-function importFromJSON(e) {
-    const file = e.target.files[0];
-    if (!file) return;
+function layoutCutHexes(count, matWidth, matHeight, radius, gap, flatTop) {
+    // Flat-top hexes are pointy-top ones mirrored across the diagonal, so pack
+    // pointy-top rows on the transposed mat and swap the coordinates back
+    const width = flatTop ? matHeight : matWidth;
+    const height = flatTop ? matWidth : matHeight;
     
-    const reader = new FileReader();
-    reader.onload = function(event) {
-        try {
-            const data = JSON.parse(event.target.result);
-            
-            // Validate basic structure
-            if (!data.cols || !data.rows || !data.grid) {
-                throw new Error('Invalid file format');
-            }
-            
-            // Load the design
-            state.hexRealSize = data.hexRealSize || 2;
-            state.quiltWidth = data.quiltWidth || 30;
-            state.quiltHeight = data.quiltHeight || 40;
-            state.unit = data.unit || 'in';
-            state.cols = data.cols;
-            state.rows = data.rows;
-            state.hexSize = data.hexSize;
-            state.grid = data.grid;
-            state.colors = data.colors || [];
-            state.nextColorId = data.nextColorId || 1;
-            state.anchors = data.anchors || [];
-            state.showNumbers = data.showNumbers || false;
-            
-            // Update UI
-            document.getElementById('hex-real-size').value = state.hexRealSize;
-            document.getElementById('quilt-width').value = state.quiltWidth;
-            document.getElementById('quilt-height').value = state.quiltHeight;
-            document.getElementById('unit-select').value = state.unit;
-            document.getElementById('unit-width').textContent = state.unit;
-            document.getElementById('unit-height').textContent = state.unit;
-            document.getElementById('show-numbers').checked = state.showNumbers;
-            
-            // Reset history
-            state.history = [];
-            state.historyIndex = -1;
-            saveToHistory();
+    const hexWidth = Math.sqrt(3) * radius;
+    const spacingX = hexWidth + gap;
+    const spacingY = 1.5 * radius + gap * Math.sqrt(3) / 2;
+    
+    const perRow = Math.floor((width - hexWidth) / spacingX) + 1;
+    const perShiftedRow = Math.floor((width - hexWidth - spacingX / 2) / spacingX) + 1;
+    const rows = Math.floor((height - 2 * radius) / spacingY) + 1;
+    if (perRow < 1 || rows < 1) return null;
+    
+    const mats = [];
+    let placed = 0;
+    while (placed < count) {
+        const centers = [];
+        for (let row = 0; row < rows && placed < count; row++) {
+            const shift = row % 2 === 1 ? spacingX / 2 : 0;
+            const inRow = shift > 0 ? perShiftedRow : perRow;
             
-            // Update displays
-            updateGridInfo();
-            renderColorList();
-            renderMiniColorSelector();
-            renderGrid();
-            updateColorCounts();
-            updateToolHint();
-            setStatus('Design imported');
-        } catch (error) {
-            console.error('Failed to import design:', error);
-            setStatus('Failed to import design: ' + error.message);
+            for (let col = 0; col < inRow && placed < count; col++) {
+                const x = hexWidth / 2 + col * spacingX + shift;
+                const y = radius + row * spacingY;
+                centers.push(flatTop ? { x: y, y: x } : { x, y });
+                placed++;
+            }
         }
-    };
-    
-    reader.readAsText(file);
+        mats.push(centers);
+    }
     
-    // Reset file input so the same file can be imported again if needed
-    e.target.value = '';
+    return mats;
 }
 
 /**
- * Save state to localStorage
+ * SVG cut file: a group per color and mat (cutting software imports these
+ * as layers), outlined in the fabric color and sized in real units
  */
-function saveState() {
-    const data = {
-        hexRealSize: state.hexRealSize,
-        quiltWidth: state.quiltWidth,
-        quiltHeight: state.quiltHeight,
-        unit: state.unit,
-        cols: state.cols,
-        rows: state.rows,
-        hexSize: state.hexSize,
-        grid: state.grid,
-        colors: state.colors,
-        nextColorId: state.nextColorId,
-        anchors: state.anchors,
-        showNumbers: state.showNumbers
-    };
+function createCutSVG(layers, radius, flatTop, width, height) {
+    // XMLSerializer adds the xmlns for elements created in the SVG namespace
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('width', `${formatLength(width)}${state.unit}`);
+    svg.setAttribute('height', `${formatLength(height)}${state.unit}`);
+    svg.setAttribute('viewBox', `0 0 ${formatLength(width)} ${formatLength(height)}`);
+    
+    for (const layer of layers) {
+        const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.setAttribute('id', layer.name);
+        group.setAttribute('transform', `translate(${formatLength(layer.x)},${formatLength(layer.y)})`);
+        group.setAttribute('fill', 'none');
+        group.setAttribute('stroke', layer.colorObj.color);
+        group.setAttribute('stroke-width', formatLength(radius * 0.01));
+        
+        const desc = document.createElementNS('http://www.w3.org/2000/svg', 'desc');
+        desc.textContent = `Color #${layer.colorObj.id} (${layer.colorObj.color}): ${layer.centers.length} hexes, ` +
+            `${state.hexRealSize} ${state.unit} finished + ${state.seamAllowance} ${state.unit} seam allowance`;
+        group.appendChild(desc);
+        
+        for (const { x, y } of layer.centers) {
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', hexPath(x, y, radius, flatTop));
+            group.appendChild(path);
+        }
+        svg.appendChild(group);
+    }
     
-    localStorage.setItem('hexQuiltDesigner', JSON.stringify(data));
-    setStatus('Design saved to browser');
+    return new XMLSerializer().serializeToString(svg);
 }
 
 /**
- * Load state from localStorage
+ * DXF (R12) cut file: a closed polyline per hex, on a layer per color and
+ * mat. R12 has no drawing units, so coordinates are in the design's unit.
+ * DXF's y axis points up, so rows are flipped to keep the SVG's layout.
  */
-function loadState() {
-    const saved = localStorage.getItem('hexQuiltDesigner');
-    if (!saved) {
-        setStatus('No saved design found');
-        return;
+function createCutDXF(layers, radius, flatTop, height) {
+    const pairs = [
+        0, 'SECTION', 2, 'HEADER',
+        9, '$ACADVER', 1, 'AC1009',
+        0, 'ENDSEC',
+        0, 'SECTION', 2, 'ENTITIES'
+    ];
+    
+    for (const layer of layers) {
+        const name = layer.name.toUpperCase();
+        for (const center of layer.centers) {
+            pairs.push(0, 'POLYLINE', 8, name, 66, 1, 70, 1, 10, 0, 20, 0, 30, 0);
+            for (const { x, y } of hexCorners(layer.x + center.x, layer.y + center.y, radius, flatTop)) {
+                pairs.push(0, 'VERTEX', 8, name, 10, x.toFixed(4), 20, (height - y).toFixed(4), 30, 0);
+            }
+            pairs.push(0, 'SEQEND', 8, name);
+        }
     }
     
-    try {
-        const data = JSON.parse(saved);
-        
-        state.hexRealSize = data.hexRealSize || 2;
-        state.quiltWidth = data.quiltWidth || 30;
-        state.quiltHeight = data.quiltHeight || 40;
-        state.unit = data.unit || 'in';
-        state.cols = data.cols;
-        state.rows = data.rows;
-        state.hexSize = data.hexSize;
-        state.grid = data.grid;
-        state.colors = data.colors;
-        state.nextColorId = data.nextColorId;
-        state.anchors = data.anchors || [];
-        state.showNumbers = data.showNumbers || false;
-        
-        // Update UI
-        document.getElementById('hex-real-size').value = state.hexRealSize;
-        document.getElementById('quilt-width').value = state.quiltWidth;
-        document.getElementById('quilt-height').value = state.quiltHeight;
-        document.getElementById('unit-select').value = state.unit;
-        document.getElementById('unit-width').textContent = state.unit;
-        document.getElementById('unit-height').textContent = state.unit;
-        document.getElementById('show-numbers').checked = state.showNumbers;
-        
-        // Reset history
-        state.history = [];
-        state.historyIndex = -1;
-        saveToHistory();
-        
-        updateGridInfo();
-        renderColorList();
-        renderGrid();
-        setStatus('Design loaded');
-    } catch (e) {
-        console.error('Failed to load state:', e);
-        setStatus('Failed to load saved design');
-    }
+    pairs.push(0, 'ENDSEC', 0, 'EOF');
+    return pairs.join('\n') + '\n';
 }
 
 // ============================================================================
@@ -1785,6 +6590,9 @@ function resetImagePicker() {
     state.imagePicker.history = [[]]; // Initialize with empty state
     state.imagePicker.historyIndex = 0;
     state.imagePicker.imageData = null;
+    state.imagePicker.placement = null;
+    state.imagePicker.dragStart = null;
+    setImagePickerMode('pick');
     
     document.getElementById('image-upload-area').style.display = 'flex';
     document.getElementById('image-canvas-container').style.display = 'none';
@@ -1823,6 +6631,8 @@ function handleImageUpload(e) {
             
             // Store image data
             state.imagePicker.imageData = ctx.getImageData(0, 0, width, height);
+            fitConvertPlacement();
+            drawImagePickerCanvas();
             
             // Show canvas, hide upload area
             document.getElementById('image-upload-area').style.display = 'none';
@@ -1840,7 +6650,7 @@ function handleImageUpload(e) {
  * Handle canvas click to pick color
  */
 function handleCanvasClick(e) {
-    if (!state.imagePicker.imageData) return;
+    if (!state.imagePicker.imageData || state.imagePicker.mode !== 'pick') return;
     
     const canvas = document.getElementById('image-picker-canvas');
     const rect = canvas.getBoundingClientRect();
@@ -1865,111 +6675,512 @@ function handleCanvasClick(e) {
 }
 
 /**
- * Save image picker history for undo/redo
+ * Save image picker history for undo/redo
+ */
+function saveImagePickerHistory() {
+    // Remove any future history if we're not at the end
+    if (state.imagePicker.historyIndex < state.imagePicker.history.length - 1) {
+        state.imagePicker.history = state.imagePicker.history.slice(0, state.imagePicker.historyIndex + 1);
+    }
+    
+    // Save current state
+    const snapshot = [...state.imagePicker.pickedColors];
+    state.imagePicker.history.push(snapshot);
+    state.imagePicker.historyIndex++;
+    
+    // Limit history
+    if (state.imagePicker.history.length > 50) {
+        state.imagePicker.history.shift();
+        state.imagePicker.historyIndex--;
+    }
+}
+
+/**
+ * Undo image picker
+ */
+function undoImagePicker() {
+    if (state.imagePicker.historyIndex > 0) {
+        state.imagePicker.historyIndex--;
+        state.imagePicker.pickedColors = [...state.imagePicker.history[state.imagePicker.historyIndex]];
+        renderPickedColors();
+        updateImagePickerButtons();
+    }
+}
+
+/**
+ * Redo image picker
+ */
+function redoImagePicker() {
+    if (state.imagePicker.historyIndex < state.imagePicker.history.length - 1) {
+        state.imagePicker.historyIndex++;
+        state.imagePicker.pickedColors = [...state.imagePicker.history[state.imagePicker.historyIndex]];
+        renderPickedColors();
+        updateImagePickerButtons();
+    }
+}
+
+/**
+ * Render picked colors
+ */
+function renderPickedColors() {
+    const list = document.getElementById('picked-colors-list');
+    list.innerHTML = '';
+    
+    state.imagePicker.pickedColors.forEach((colorObj, index) => {
+        const item = document.createElement('div');
+        item.className = 'picked-color-item';
+        
+        const swatch = document.createElement('div');
+        swatch.className = 'picked-color-swatch';
+        swatch.style.backgroundColor = colorObj.color;
+        swatch.title = colorObj.color;
+        
+        const qtyInput = document.createElement('input');
+        qtyInput.type = 'number';
+        qtyInput.className = 'picked-color-qty';
+        qtyInput.value = colorObj.quantity;
+        qtyInput.min = 1;
+        qtyInput.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            if (!isNaN(value) && value > 0) {
+                state.imagePicker.pickedColors[index].quantity = value;
+            }
+        });
+        
+        item.appendChild(swatch);
+        item.appendChild(qtyInput);
+        list.appendChild(item);
+    });
+    
+    document.getElementById('picked-count').textContent = state.imagePicker.pickedColors.length;
+}
+
+/**
+ * Update image picker buttons (undo/redo)
+ */
+function updateImagePickerButtons() {
+    document.getElementById('pick-undo').disabled = state.imagePicker.historyIndex <= 0;
+    document.getElementById('pick-redo').disabled = state.imagePicker.historyIndex >= state.imagePicker.history.length - 1;
+}
+
+/**
+ * Replace the picked colors with the N dominant colors of the image,
+ * with quantities proportional to their area
+ */
+function extractPickedColors() {
+    const imageData = state.imagePicker.imageData;
+    if (!imageData) {
+        setStatus('Upload an image first');
+        return;
+    }
+    
+    const k = Math.max(1, Math.min(24, parseInt(document.getElementById('extract-count').value) || 6));
+    const clusters = extractImagePalette(imageData, k);
+    
+    saveImagePickerHistory();
+    state.imagePicker.pickedColors = clusters.map(({ lab, share }) => {
+        const rgb = labToRgb(lab.L, lab.a, lab.b);
+        return {
+            color: rgbToHex(rgb.r, rgb.g, rgb.b),
+            quantity: Math.max(1, Math.round(share * countActiveCells()))
+        };
+    });
+    renderPickedColors();
+    updateImagePickerButtons();
+}
+
+/**
+ * Cluster the image's pixels in LAB space (k-means with k-means++ seeding)
+ * Returns [{lab, share}] sorted by share of the image, largest first
+ */
+function extractImagePalette(imageData, k) {
+    const { data, width, height } = imageData;
+    
+    // Sample up to ~20k opaque pixels on a regular stride
+    const stride = Math.max(1, Math.floor(Math.sqrt(width * height / 20000)));
+    const points = [];
+    for (let y = 0; y < height; y += stride) {
+        for (let x = 0; x < width; x += stride) {
+            const i = (y * width + x) * 4;
+            if (data[i + 3] < 128) continue;
+            points.push(rgbToLab(data[i], data[i + 1], data[i + 2]));
+        }
+    }
+    if (points.length === 0) return [];
+    
+    k = Math.min(k, points.length);
+    
+    // Fixed seed so the same image always proposes the same colors
+    const random = createRandom(1);
+    
+    // k-means++: pick each new center with probability proportional to squared distance
+    const centers = [{ ...points[Math.floor(random() * points.length)] }];
+    const nearestSq = points.map(p => Math.pow(labDistance(p, centers[0]), 2));
+    while (centers.length < k) {
+        const total = nearestSq.reduce((sum, d) => sum + d, 0);
+        let target = random() * total;
+        let chosen = points.length - 1;
+        for (let i = 0; i < points.length; i++) {
+            target -= nearestSq[i];
+            if (target <= 0) {
+                chosen = i;
+                break;
+            }
+        }
+        centers.push({ ...points[chosen] });
+        points.forEach((p, i) => {
+            nearestSq[i] = Math.min(nearestSq[i], Math.pow(labDistance(p, points[chosen]), 2));
+        });
+    }
+    
+    // Lloyd iterations
+    const labels = new Int32Array(points.length).fill(-1);
+    const counts = new Array(k).fill(0);
+    for (let iter = 0; iter < 25; iter++) {
+        let changed = false;
+        points.forEach((p, i) => {
+            let best = 0;
+            let bestDist = Infinity;
+            centers.forEach((c, j) => {
+                const dist = labDistance(p, c);
+                if (dist < bestDist) {
+                    bestDist = dist;
+                    best = j;
+                }
+            });
+            if (labels[i] !== best) {
+                labels[i] = best;
+                changed = true;
+            }
+        });
+        
+        const sums = centers.map(() => ({ L: 0, a: 0, b: 0 }));
+        counts.fill(0);
+        points.forEach((p, i) => {
+            const sum = sums[labels[i]];
+            sum.L += p.L;
+            sum.a += p.a;
+            sum.b += p.b;
+            counts[labels[i]]++;
+        });
+        centers.forEach((c, j) => {
+            if (counts[j] === 0) return; // keep empty clusters where they are
+            c.L = sums[j].L / counts[j];
+            c.a = sums[j].a / counts[j];
+            c.b = sums[j].b / counts[j];
+        });
+        
+        if (!changed) break;
+    }
+    
+    return centers
+        .map((lab, j) => ({ lab, share: counts[j] / points.length }))
+        .filter(cluster => cluster.share > 0)
+        .sort((a, b) => b.share - a.share);
+}
+
+/**
+ * Confirm and add picked colors to palette
+ */
+function confirmImagePicker() {
+    const colors = state.imagePicker.pickedColors;
+    if (colors.length === 0) {
+        setStatus('No colors picked');
+        return;
+    }
+    
+    // Add each color to palette with specified quantity
+    colors.forEach(colorObj => {
+        addColor(colorObj.color, colorObj.quantity);
+    });
+    
+    closeImagePicker();
+    setStatus(`Added ${colors.length} color${colors.length > 1 ? 's' : ''} from image`);
+}
+
+// ============================================================================
+// Image to Quilt Conversion
+// ============================================================================
+
+/**
+ * Switch the image modal between picking colors and converting the image to a quilt
+ */
+function setImagePickerMode(mode) {
+    state.imagePicker.mode = mode;
+    state.imagePicker.dragStart = null;
+    
+    document.querySelectorAll('.modal-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.mode === mode);
+    });
+    document.getElementById('picked-colors-container').style.display = mode === 'pick' ? '' : 'none';
+    document.getElementById('convert-options').style.display = mode === 'convert' ? '' : 'none';
+    document.getElementById('image-picker-ok').textContent = mode === 'convert' ? 'Convert to Quilt' : 'Add Colors to Palette';
+    document.getElementById('image-canvas-container').classList.toggle('converting', mode === 'convert');
+    
+    drawImagePickerCanvas();
+}
+
+/**
+ * Size of the quilt in grid units (hex size 1)
+ */
+function getQuiltExtent() {
+    return calculateCanvasSize(state.cols, state.rows, 1);
+}
+
+/**
+ * Size the quilt outline from the scale slider (percent of the largest outline
+ * that fits the image), keeping it centered on its previous position
+ */
+function fitConvertPlacement() {
+    const imageData = state.imagePicker.imageData;
+    if (!imageData) return;
+    
+    const extent = getQuiltExtent();
+    const fitWidth = Math.min(imageData.width, imageData.height * extent.width / extent.height);
+    const width = fitWidth * parseInt(document.getElementById('convert-scale').value) / 100;
+    const height = width * extent.height / extent.width;
+    
+    const previous = state.imagePicker.placement;
+    const centerX = previous ? previous.x + previous.width / 2 : imageData.width / 2;
+    const centerY = previous ? previous.y + previous.width * extent.height / extent.width / 2 : imageData.height / 2;
+    
+    state.imagePicker.placement = {
+        x: Math.max(0, Math.min(imageData.width - width, centerX - width / 2)),
+        y: Math.max(0, Math.min(imageData.height - height, centerY - height / 2)),
+        width
+    };
+}
+
+/**
+ * Redraw the uploaded image, with the quilt outline when converting
  */
-function saveImagePickerHistory() {
-    // Remove any future history if we're not at the end
-    if (state.imagePicker.historyIndex < state.imagePicker.history.length - 1) {
-        state.imagePicker.history = state.imagePicker.history.slice(0, state.imagePicker.historyIndex + 1);
-    }
+function drawImagePickerCanvas() {
+    const imageData = state.imagePicker.imageData;
+    if (!imageData) return;
     
-    // Save current state
-    const snapshot = [...state.imagePicker.pickedColors];
-    state.imagePicker.history.push(snapshot);
-    state.imagePicker.historyIndex++;
-    
-    // Limit history
-    if (state.imagePicker.history.length > 50) {
-        state.imagePicker.history.shift();
-        state.imagePicker.historyIndex--;
-    }
+    const canvas = document.getElementById('image-picker-canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.putImageData(imageData, 0, 0);
+    
+    const placement = state.imagePicker.placement;
+    if (state.imagePicker.mode !== 'convert' || !placement) return;
+    
+    const extent = getQuiltExtent();
+    const height = placement.width * extent.height / extent.width;
+    
+    // Dim the part of the image that falls outside the quilt
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.beginPath();
+    ctx.rect(0, 0, canvas.width, canvas.height);
+    ctx.rect(placement.x, placement.y, placement.width, height);
+    ctx.fill('evenodd');
+    
+    ctx.strokeStyle = '#d97756';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.strokeRect(placement.x, placement.y, placement.width, height);
+    ctx.restore();
 }
 
 /**
- * Undo image picker
+ * Convert a mouse event to image pixel coordinates
  */
-function undoImagePicker() {
-    if (state.imagePicker.historyIndex > 0) {
-        state.imagePicker.historyIndex--;
-        state.imagePicker.pickedColors = [...state.imagePicker.history[state.imagePicker.historyIndex]];
-        renderPickedColors();
-        updateImagePickerButtons();
-    }
+function getCanvasPoint(e) {
+    const canvas = document.getElementById('image-picker-canvas');
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) * (canvas.width / rect.width),
+        y: (e.clientY - rect.top) * (canvas.height / rect.height)
+    };
 }
 
 /**
- * Redo image picker
+ * Start moving the quilt outline
  */
-function redoImagePicker() {
-    if (state.imagePicker.historyIndex < state.imagePicker.history.length - 1) {
-        state.imagePicker.historyIndex++;
-        state.imagePicker.pickedColors = [...state.imagePicker.history[state.imagePicker.historyIndex]];
-        renderPickedColors();
-        updateImagePickerButtons();
-    }
+function handleConvertDragStart(e) {
+    const placement = state.imagePicker.placement;
+    if (state.imagePicker.mode !== 'convert' || !placement) return;
+    
+    const point = getCanvasPoint(e);
+    state.imagePicker.dragStart = {
+        x: point.x,
+        y: point.y,
+        placementX: placement.x,
+        placementY: placement.y
+    };
+    e.preventDefault();
 }
 
 /**
- * Render picked colors
+ * Move the quilt outline, keeping it inside the image
  */
-function renderPickedColors() {
-    const list = document.getElementById('picked-colors-list');
-    list.innerHTML = '';
+function handleConvertDrag(e) {
+    const drag = state.imagePicker.dragStart;
+    if (!drag) return;
+    
+    const imageData = state.imagePicker.imageData;
+    const placement = state.imagePicker.placement;
+    const extent = getQuiltExtent();
+    const height = placement.width * extent.height / extent.width;
+    const point = getCanvasPoint(e);
+    
+    placement.x = Math.max(0, Math.min(imageData.width - placement.width, drag.placementX + point.x - drag.x));
+    placement.y = Math.max(0, Math.min(imageData.height - height, drag.placementY + point.y - drag.y));
+    drawImagePickerCanvas();
+}
+
+/**
+ * Average the image pixels under each hex of the quilt outline
+ * Returns the average LAB color per grid index
+ */
+function sampleImageForGrid() {
+    const { imageData, placement } = state.imagePicker;
+    const { data, width, height } = imageData;
+    const scale = placement.width / getQuiltExtent().width;
+    const radius = scale; // hex size 1 in image pixels
     
-    state.imagePicker.pickedColors.forEach((colorObj, index) => {
-        const item = document.createElement('div');
-        item.className = 'picked-color-item';
-        
-        const swatch = document.createElement('div');
-        swatch.className = 'picked-color-swatch';
-        swatch.style.backgroundColor = colorObj.color;
-        swatch.title = colorObj.color;
-        
-        const qtyInput = document.createElement('input');
-        qtyInput.type = 'number';
-        qtyInput.className = 'picked-color-qty';
-        qtyInput.value = colorObj.quantity;
-        qtyInput.min = 1;
-        qtyInput.addEventListener('input', (e) => {
-            const value = parseInt(e.target.value);
-            if (!isNaN(value) && value > 0) {
-                state.imagePicker.pickedColors[index].quantity = value;
+    const samples = [];
+    for (let row = 0; row < state.rows; row++) {
+        for (let col = 0; col < state.cols; col++) {
+            const center = hexToPixel(col, row, 1);
+            const cx = placement.x + center.x * scale;
+            const cy = placement.y + center.y * scale;
+            const corners = hexCorners(cx, cy, radius);
+            
+            let r = 0, g = 0, b = 0, count = 0;
+            const minX = Math.max(0, Math.floor(cx - radius));
+            const maxX = Math.min(width - 1, Math.ceil(cx + radius));
+            const minY = Math.max(0, Math.floor(cy - radius));
+            const maxY = Math.min(height - 1, Math.ceil(cy + radius));
+            
+            for (let y = minY; y <= maxY; y++) {
+                for (let x = minX; x <= maxX; x++) {
+                    if (!pointInPolygon(x + 0.5, y + 0.5, corners)) continue;
+                    
+                    const i = (y * width + x) * 4;
+                    r += data[i];
+                    g += data[i + 1];
+                    b += data[i + 2];
+                    count++;
+                }
             }
-        });
-        
-        item.appendChild(swatch);
-        item.appendChild(qtyInput);
-        list.appendChild(item);
-    });
+            
+            // Hexes smaller than a pixel: use the pixel under the center
+            if (count === 0) {
+                const x = Math.max(0, Math.min(width - 1, Math.floor(cx)));
+                const y = Math.max(0, Math.min(height - 1, Math.floor(cy)));
+                const i = (y * width + x) * 4;
+                r = data[i];
+                g = data[i + 1];
+                b = data[i + 2];
+                count = 1;
+            }
+            
+            samples.push(rgbToLab(r / count, g / count, b / count));
+        }
+    }
     
-    document.getElementById('picked-count').textContent = state.imagePicker.pickedColors.length;
+    return samples;
 }
 
 /**
- * Update image picker buttons (undo/redo)
+ * Check whether a point lies inside a polygon (array of {x, y})
  */
-function updateImagePickerButtons() {
-    document.getElementById('pick-undo').disabled = state.imagePicker.historyIndex <= 0;
-    document.getElementById('pick-redo').disabled = state.imagePicker.historyIndex >= state.imagePicker.history.length - 1;
+function pointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
 }
 
 /**
- * Confirm and add picked colors to palette
+ * Resample the image onto the hex grid and map each hex to the closest
+ * palette fabric, respecting quantities and locked cells, as one undo step
  */
-function confirmImagePicker() {
-    const colors = state.imagePicker.pickedColors;
-    if (colors.length === 0) {
-        setStatus('No colors picked');
+function convertImageToQuilt() {
+    if (!state.imagePicker.imageData) {
+        setStatus('Upload an image first');
         return;
     }
     
-    // Add each color to palette with specified quantity
-    colors.forEach(colorObj => {
-        addColor(colorObj.color, colorObj.quantity);
+    if (state.colors.length === 0) {
+        setStatus('Add colors to palette first (pick them from the image)');
+        return;
+    }
+    
+    if (state.gradientJob) {
+        setStatus('A gradient or image conversion is already running');
+        return;
+    }
+    
+    const samples = sampleImageForGrid();
+    const palette = getPaletteLab();
+    
+    // Same quantization as gradients: closest-to-a-fabric cells are most certain
+    const cells = [];
+    const targets = [];
+    state.grid.forEach((cell, idx) => {
+        if (cell.locked || cell.masked) return;
+        
+        const lab = samples[idx];
+        const minDist = Math.min(...palette.map(p => labDistance(lab, p.lab)));
+        targets.push({ index: cells.length, lab, minDist });
+        cells.push({ idx });
     });
     
+    const job = {
+        kind: 'convert',
+        cols: state.cols,
+        rows: state.rows,
+        layout: state.layout,
+        cells,
+        targets,
+        palette: state.colors.map(c => ({ id: c.id, color: c.color })),
+        remaining: getFillableQuantities(),
+        assignment: state.gradientAssignment,
+        dither: document.getElementById('convert-dither').checked,
+        ditherAlgorithm: 'diffusion',
+        ditherIntensity: state.ditherIntensity
+    };
+    
+    // Optimal assignment can take a while on large quilts: it runs in the
+    // gradient worker, with the gradient panel's progress bar and cancel button
     closeImagePicker();
-    setStatus(`Added ${colors.length} color${colors.length > 1 ? 's' : ''} from image`);
+    setStatus('Converting image…');
+    runGradientJob(job, (result) => applyConversionResult(job, result));
+}
+
+/**
+ * Apply a finished image conversion to the grid as one history step
+ */
+function applyConversionResult(job, result) {
+    if (job.cols !== state.cols || job.rows !== state.rows) {
+        setStatus('Grid changed while converting; image conversion discarded');
+        return;
+    }
+    
+    saveToHistory();
+    
+    job.cells.forEach(({ idx }, i) => {
+        const cell = state.grid[idx];
+        // Respect cells locked or masked while the conversion was running
+        if (cell.locked || cell.masked) return;
+        
+        const colorObj = state.colors.find(c => c.id === result.colorIds[i]);
+        cell.color = colorObj ? colorObj.color : null;
+        cell.colorId = colorObj ? colorObj.id : null;
+    });
+    
+    renderGrid();
+    updateColorCounts();
+    scheduleAutosave();
+    setStatus(`Image converted to quilt · ${formatAssignmentError(result.stats)}`);
 }
 
 // ============================================================================
@@ -1990,11 +7201,32 @@ function init() {
     
     // Unit selector
     document.getElementById('unit-select').addEventListener('change', (e) => {
+        // The fabric width is a physical measurement, unlike the quilt sizes being set up
+        state.fabricWidth = convertFabricWidth(state.fabricWidth, state.unit, e.target.value);
+        document.getElementById('fabric-width').value = state.fabricWidth;
         state.unit = e.target.value;
-        document.getElementById('unit-width').textContent = state.unit;
-        document.getElementById('unit-height').textContent = state.unit;
+        updateUnitLabels();
         updateGridInfo();
+        renderCuttingList();
+    });
+    
+    // Fabric requirements
+    document.getElementById('fabric-width').addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        if (value > 0) {
+            state.fabricWidth = value;
+            renderCuttingList();
+        }
+    });
+    document.getElementById('seam-allowance').addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        if (value >= 0) {
+            state.seamAllowance = value;
+            renderCuttingList();
+        }
     });
+    document.getElementById('cutting-csv').addEventListener('click', exportCuttingCSV);
+    document.getElementById('cutting-print').addEventListener('click', printCuttingReport);
     
     // Update grid info when dimensions change
     ['hex-real-size', 'quilt-width', 'quilt-height'].forEach(id => {
@@ -2006,6 +7238,8 @@ function init() {
         state.hexRealSize = parseFloat(document.getElementById('hex-real-size').value) || 2;
         state.quiltWidth = parseFloat(document.getElementById('quilt-width').value) || 30;
         state.quiltHeight = parseFloat(document.getElementById('quilt-height').value) || 40;
+        state.layout = document.getElementById('grid-layout').value;
+        state.trimEdges = document.getElementById('trim-edges').checked;
         
         // Calculate grid dimensions from real measurements
         const dims = calculateGridDimensions(state.hexRealSize, state.quiltWidth, state.quiltHeight);
@@ -2017,12 +7251,14 @@ function init() {
         state.hexSize = 30;
         
         initializeGrid();
+        applyGridShape(document.getElementById('grid-shape').value);
+        computeTrimFractions(true);
         state.history = [];
         state.historyIndex = -1;
         saveToHistory();
         renderGrid();
         updateGridInfo();
-        setStatus(`Generated ${state.cols}×${state.rows} grid (${state.grid.length} hexes)`);
+        setStatus(`Generated ${state.cols}×${state.rows} grid (${countActiveCells()} hexes)`);
     });
     
     // Color management
@@ -2045,7 +7281,26 @@ function init() {
     document.getElementById('image-picker-canvas').addEventListener('click', handleCanvasClick);
     document.getElementById('pick-undo').addEventListener('click', undoImagePicker);
     document.getElementById('pick-redo').addEventListener('click', redoImagePicker);
-    document.getElementById('image-picker-ok').addEventListener('click', confirmImagePicker);
+    document.getElementById('extract-colors').addEventListener('click', extractPickedColors);
+    document.getElementById('image-picker-ok').addEventListener('click', () => {
+        if (state.imagePicker.mode === 'convert') {
+            convertImageToQuilt();
+        } else {
+            confirmImagePicker();
+        }
+    });
+    document.querySelectorAll('.modal-tab').forEach(tab => {
+        tab.addEventListener('click', () => setImagePickerMode(tab.dataset.mode));
+    });
+    document.getElementById('image-picker-canvas').addEventListener('mousedown', handleConvertDragStart);
+    document.addEventListener('mousemove', handleConvertDrag);
+    document.addEventListener('mouseup', () => {
+        state.imagePicker.dragStart = null;
+    });
+    document.getElementById('convert-scale').addEventListener('input', () => {
+        fitConvertPlacement();
+        drawImagePickerCanvas();
+    });
     document.getElementById('image-picker-cancel').addEventListener('click', closeImagePicker);
     document.getElementById('image-picker-close').addEventListener('click', closeImagePicker);
     
@@ -2116,8 +7371,22 @@ function init() {
     // Gradient dither
     document.getElementById('gradient-dither').addEventListener('change', (e) => {
         state.gradientDither = e.target.checked;
-        document.getElementById('dither-intensity').disabled = !e.target.checked;
-        document.getElementById('dither-intensity-input').disabled = !e.target.checked;
+        updateDitherControls();
+    });
+    
+    document.getElementById('dither-algorithm').addEventListener('change', (e) => {
+        state.ditherAlgorithm = e.target.value;
+        updateDitherControls();
+    });
+    
+    document.getElementById('dither-seed').addEventListener('input', (e) => {
+        const value = parseInt(e.target.value);
+        if (!isNaN(value)) state.ditherSeed = value;
+    });
+    
+    document.getElementById('dither-seed-random').addEventListener('click', () => {
+        state.ditherSeed = Math.floor(Math.random() * 1000000);
+        document.getElementById('dither-seed').value = state.ditherSeed;
     });
     
     document.getElementById('dither-intensity').addEventListener('input', (e) => {
@@ -2133,6 +7402,44 @@ function init() {
         document.getElementById('dither-intensity').value = state.ditherIntensity;
     });
     
+    // Gradient color assignment mode
+    document.getElementById('gradient-assignment').addEventListener('change', (e) => {
+        state.gradientAssignment = e.target.value;
+    });
+    
+    // Gradient interpolation mode and its parameters
+    document.getElementById('gradient-mode').addEventListener('change', (e) => {
+        state.gradientMode = e.target.value;
+        updateGradientModeControls();
+        renderOverlays();
+    });
+    
+    document.getElementById('gradient-power').addEventListener('input', (e) => {
+        state.gradientPower = parseFloat(e.target.value);
+        document.getElementById('gradient-power-input').value = state.gradientPower;
+    });
+    
+    document.getElementById('gradient-power-input').addEventListener('input', (e) => {
+        let value = parseFloat(e.target.value);
+        if (isNaN(value)) return;
+        value = Math.max(0.5, Math.min(6, value));
+        state.gradientPower = value;
+        document.getElementById('gradient-power').value = state.gradientPower;
+    });
+    
+    document.getElementById('gradient-softness').addEventListener('input', (e) => {
+        state.gradientSoftness = parseFloat(e.target.value);
+        document.getElementById('gradient-softness-input').value = state.gradientSoftness;
+    });
+    
+    document.getElementById('gradient-softness-input').addEventListener('input', (e) => {
+        let value = parseFloat(e.target.value);
+        if (isNaN(value)) return;
+        value = Math.max(0, Math.min(10, value));
+        state.gradientSoftness = value;
+        document.getElementById('gradient-softness').value = state.gradientSoftness;
+    });
+    
     // Brush size - slider
     document.getElementById('brush-size-slider').addEventListener('input', (e) => {
         state.brushSize = parseInt(e.target.value);
@@ -2164,9 +7471,72 @@ function init() {
         });
     });
     
+    // Fill mode
+    document.getElementById('fill-mode').addEventListener('change', (e) => {
+        state.fillMode = e.target.value;
+        updateToolHint();
+    });
+    
+    // Symmetry
+    document.getElementById('symmetry-mode').addEventListener('change', (e) => {
+        state.symmetry = e.target.value;
+        renderOverlays();
+        updateToolHint();
+    });
+    document.getElementById('symmetry-center').addEventListener('click', (e) => {
+        state.pickingSymmetryCenter = !state.pickingSymmetryCenter;
+        e.currentTarget.classList.toggle('active', state.pickingSymmetryCenter);
+        renderOverlays();
+        if (state.pickingSymmetryCenter) {
+            setStatus('Click a hex to set the symmetry center');
+        }
+    });
+    
+    // Selection
+    document.getElementById('select-mode').addEventListener('change', (e) => {
+        state.selectMode = e.target.value;
+        updateToolHint();
+    });
+    document.getElementById('select-copy').addEventListener('click', copySelection);
+    document.getElementById('select-cut').addEventListener('click', cutSelection);
+    document.getElementById('select-paste').addEventListener('click', pasteClipboard);
+    document.getElementById('select-rotate-ccw').addEventListener('click', () => transformSelection('rotate-ccw'));
+    document.getElementById('select-rotate-cw').addEventListener('click', () => transformSelection('rotate-cw'));
+    document.getElementById('select-mirror-h').addEventListener('click', () => transformSelection('mirror-h'));
+    document.getElementById('select-mirror-v').addEventListener('click', () => transformSelection('mirror-v'));
+    document.getElementById('select-save-stamp').addEventListener('click', saveSelectionAsStamp);
+    
+    // Line tool
+    document.getElementById('line-mode').addEventListener('change', (e) => {
+        state.lineMode = e.target.value;
+        cancelLine();
+        updateToolHint();
+    });
+    
+    // Stamps
+    document.getElementById('stamp-select').addEventListener('change', (e) => selectStamp(e.target.value));
+    document.getElementById('stamp-delete').addEventListener('click', deleteCurrentStamp);
+    document.getElementById('stamp-rotate-ccw').addEventListener('click', () => transformStamp('rotate-ccw'));
+    document.getElementById('stamp-rotate-cw').addEventListener('click', () => transformStamp('rotate-cw'));
+    document.getElementById('stamp-mirror-h').addEventListener('click', () => transformStamp('mirror-h'));
+    document.getElementById('stamp-mirror-v').addEventListener('click', () => transformStamp('mirror-v'));
+    document.getElementById('stamp-slots').addEventListener('click', (e) => {
+        const item = e.target.closest('.stamp-slot');
+        if (!item) return;
+        if (state.selectedColorId === null) {
+            setStatus('Select a color first');
+            return;
+        }
+        state.stampColors[parseInt(item.dataset.slot)] = state.selectedColorId;
+        renderStampSlots();
+        renderOverlays();
+    });
+    
     // Tools (main sidebar)
     document.querySelectorAll('.btn-tool').forEach(btn => {
         btn.addEventListener('click', () => {
+            cancelFloating();
+            cancelLine();
             state.tool = btn.dataset.tool;
             state.swapSource = null;
             
@@ -2192,6 +7562,8 @@ function init() {
     // Mini toolbar tools
     document.querySelectorAll('.mini-toolbar .btn-mini[data-tool]').forEach(btn => {
         btn.addEventListener('click', () => {
+            cancelFloating();
+            cancelLine();
             state.tool = btn.dataset.tool;
             state.swapSource = null;
             
@@ -2221,6 +7593,17 @@ function init() {
     
     // Gradient generation
     document.getElementById('generate-gradient').addEventListener('click', generateGradient);
+    document.getElementById('cancel-gradient').addEventListener('click', cancelGradient);
+    
+    // Anchor editor
+    document.getElementById('anchor-editor-close').addEventListener('click', () => {
+        closeAnchorEditor();
+        renderGrid();
+    });
+    ['anchor-strength', 'anchor-radius'].forEach(id => {
+        document.getElementById(id).addEventListener('focus', beginAnchorEdit);
+        document.getElementById(id).addEventListener('input', updateEditingAnchor);
+    });
     
     document.getElementById('clear-anchors').addEventListener('click', () => {
         state.anchors = [];
@@ -2255,18 +7638,70 @@ function init() {
                 undo();
             }
             e.preventDefault();
+            return;
+        }
+        
+        // Tool shortcuts (not while typing in a field)
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+        
+        if (state.tool === 'line') {
+            if (e.key === 'Enter') {
+                finishLine();
+            } else if (e.key === 'Escape') {
+                cancelLine();
+            } else {
+                return;
+            }
+            e.preventDefault();
+            return;
+        }
+        
+        if (state.tool !== 'select') return;
+        
+        if (e.key === 'Escape') {
+            if (state.floating) {
+                cancelFloating();
+            } else {
+                state.selection = new Set();
+                renderOverlays();
+            }
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+            deleteSelection();
+        } else if (e.ctrlKey || e.metaKey) {
+            const actions = { c: copySelection, x: cutSelection, v: pasteClipboard };
+            const action = actions[e.key.toLowerCase()];
+            if (!action) return;
+            action();
+        } else {
+            return;
         }
+        e.preventDefault();
     });
     
     // Export/Save/Load
-    document.getElementById('export-png').addEventListener('click', exportPNG);
+    document.getElementById('export-raster').addEventListener('click', exportRaster);
+    document.getElementById('export-svg').addEventListener('click', exportSVG);
+    document.getElementById('export-pdf').addEventListener('click', exportPDF);
+    document.getElementById('export-templates').addEventListener('click', exportTemplatesPDF);
+    document.getElementById('export-cut-files').addEventListener('click', exportCutFiles);
     document.getElementById('export-json').addEventListener('click', exportToJSON);
     document.getElementById('import-json').addEventListener('click', () => {
         document.getElementById('import-file').click();
     });
     document.getElementById('import-file').addEventListener('change', importFromJSON);
-    document.getElementById('save-state').addEventListener('click', saveState);
-    document.getElementById('load-state').addEventListener('click', loadState);
+    document.getElementById('copy-share-link').addEventListener('click', copyShareLink);
+    document.getElementById('import-close').addEventListener('click', closeImportPreview);
+    document.getElementById('import-cancel').addEventListener('click', closeImportPreview);
+    document.getElementById('import-confirm').addEventListener('click', confirmImport);
+    document.getElementById('import-download').addEventListener('click', downloadLegacySave);
+    document.getElementById('save-project').addEventListener('click', saveProject);
+    document.getElementById('open-projects').addEventListener('click', openProjectGallery);
+    document.getElementById('project-close').addEventListener('click', closeProjectGallery);
+    document.getElementById('project-done').addEventListener('click', closeProjectGallery);
+    document.getElementById('project-save-new').addEventListener('click', saveProjectAsNew);
+    document.getElementById('open-autosaves').addEventListener('click', () => openAutosaveDialog());
+    document.getElementById('autosave-close').addEventListener('click', closeAutosaveDialog);
+    document.getElementById('autosave-done').addEventListener('click', closeAutosaveDialog);
     
     // Hex grid interactions
     const hexGrid = document.getElementById('hex-grid');
@@ -2277,14 +7712,96 @@ function init() {
         if (hex) {
             const row = parseInt(hex.dataset.row);
             const col = parseInt(hex.dataset.col);
+            
+            if (state.pickingSymmetryCenter) {
+                setSymmetryCenter(row, col);
+                return;
+            }
+            
+            // Shift+click an anchor to edit it without toggling it
+            if (state.tool === 'anchor' && e.shiftKey && findAnchor(row, col)) {
+                openAnchorEditor(row, col);
+                renderGrid();
+                return;
+            }
+            
             handleHexClick(row, col);
         }
     });
     
-    // Mouse down - start dragging for paint/erase
+    // Double click - finish a path
+    hexGrid.addEventListener('dblclick', () => {
+        if (state.tool === 'line' && state.lineMode === 'path') {
+            finishLine();
+        }
+    });
+    
+    // Mouse down - start dragging for paint/erase/axis/select/line
     hexGrid.addEventListener('mousedown', (e) => {
         const hex = e.target.closest('.hex');
-        if (hex && (state.tool === 'paint' || state.tool === 'erase')) {
+        if (state.pickingSymmetryCenter) {
+            // The click handler sets the center
+            e.preventDefault();
+        } else if (hex && state.tool === 'line') {
+            const row = parseInt(hex.dataset.row);
+            const col = parseInt(hex.dataset.col);
+            
+            // A line ends at the second click; a path keeps adding points
+            if (state.lineMode === 'line' && state.linePoints.length > 0) {
+                addLinePoint(row, col);
+                finishLine();
+            } else {
+                if (state.linePoints.length === 0) {
+                    state.isDragging = true;
+                    state.dragAction = 'line';
+                }
+                addLinePoint(row, col);
+            }
+            
+            e.preventDefault();
+        } else if (hex && state.tool === 'select') {
+            const row = parseInt(hex.dataset.row);
+            const col = parseInt(hex.dataset.col);
+            
+            if (state.floating) {
+                // Place a paste where it is hovering
+                state.floating.origin = { row, col };
+                placeFloating();
+            } else if (state.selection.has(gridIndex(row, col)) && !e.shiftKey) {
+                // The hexes are lifted once the pointer leaves this hex
+                state.isDragging = true;
+                state.dragAction = 'move';
+                state.moveStart = { row, col };
+            } else {
+                state.isDragging = true;
+                state.dragAction = 'select';
+                startSelectionDrag(row, col, e.shiftKey);
+            }
+            
+            e.preventDefault();
+        } else if (hex && state.tool === 'axis') {
+            const row = parseInt(hex.dataset.row);
+            const col = parseInt(hex.dataset.col);
+            
+            state.isDragging = true;
+            state.dragAction = 'axis';
+            state.gradientAxis = { start: { row, col }, end: { row, col } };
+            renderOverlays();
+            
+            e.preventDefault();
+        } else if (hex && state.tool === 'mask') {
+            const row = parseInt(hex.dataset.row);
+            const col = parseInt(hex.dataset.col);
+            
+            // Starting on a cut hex restores hexes for the rest of the drag
+            state.isDragging = true;
+            state.dragAction = getCell(row, col).masked ? 'unmask' : 'mask';
+            
+            saveToHistory();
+            handleMask(row, col, state.dragAction === 'mask', true);
+            
+            e.preventDefault();
+        } else if (hex && (state.tool === 'paint' || state.tool === 'erase')) {
             state.isDragging = true;
             state.dragAction = state.tool;
             
@@ -2307,6 +7824,36 @@ function init() {
     
     // Mouse over - continue painting/erasing while dragging
     hexGrid.addEventListener('mouseover', (e) => {
+        // The line preview follows the pointer
+        if (state.tool === 'line' && state.linePoints.length > 0) {
+            const hex = e.target.closest('.hex');
+            if (hex) {
+                state.lineHover = { row: parseInt(hex.dataset.row), col: parseInt(hex.dataset.col) };
+                renderOverlays();
+            }
+            return;
+        }
+        
+        // The stamp preview follows the pointer
+        if (state.tool === 'stamp') {
+            const hex = e.target.closest('.hex');
+            if (hex) {
+                state.stampHover = { row: parseInt(hex.dataset.row), col: parseInt(hex.dataset.col) };
+                renderOverlays();
+            }
+            return;
+        }
+        
+        // A paste follows the pointer until it is placed
+        if (state.floating && !state.isDragging) {
+            const hex = e.target.closest('.hex');
+            if (hex) {
+                state.floating.origin = { row: parseInt(hex.dataset.row), col: parseInt(hex.dataset.col) };
+                renderOverlays();
+            }
+            return;
+        }
+        
         if (state.isDragging && state.dragAction) {
             const hex = e.target.closest('.hex');
             if (hex) {
@@ -2317,6 +7864,19 @@ function init() {
                     handlePaint(row, col, true);
                 } else if (state.dragAction === 'erase') {
                     handleErase(row, col, true);
+                } else if (state.dragAction === 'mask' || state.dragAction === 'unmask') {
+                    handleMask(row, col, state.dragAction === 'mask', true);
+                } else if (state.dragAction === 'axis') {
+                    state.gradientAxis.end = { row, col };
+                    renderOverlays();
+                } else if (state.dragAction === 'select') {
+                    updateSelectionDrag(row, col);
+                } else if (state.dragAction === 'move') {
+                    if (!state.floating) {
+                        startMove(state.moveStart.row, state.moveStart.col);
+                    }
+                    state.floating.origin = { row, col };
+                    renderOverlays();
                 }
             }
         }
@@ -2325,28 +7885,57 @@ function init() {
     // Mouse up - stop dragging
     document.addEventListener('mouseup', () => {
         if (state.isDragging) {
+            const action = state.dragAction;
             state.isDragging = false;
             state.dragAction = null;
             
+            // The drag's history entry scheduled a snapshot of the design before it
+            scheduleAutosave();
+            
             // Update status after drag complete
-            if (state.tool === 'paint') {
+            if (action === 'select') {
+                finishSelectionDrag();
+            } else if (action === 'move') {
+                state.moveStart = null;
+                placeFloating();
+            } else if (action === 'line') {
+                // Releasing on another hex ends a dragged line; on the start hex
+                // the line waits for a second click
+                const start = state.linePoints[0];
+                const end = state.lineHover;
+                if (state.lineMode === 'line' && end && (end.row !== start.row || end.col !== start.col)) {
+                    addLinePoint(end.row, end.col);
+                    finishLine();
+                }
+            } else if (state.tool === 'paint') {
                 setStatus('Painted hexes');
             } else if (state.tool === 'erase') {
                 setStatus('Erased hexes');
+            } else if (state.tool === 'axis') {
+                setStatus('Gradient axis set');
+            } else if (state.tool === 'mask') {
+                setStatus(`Quilt shape updated (${countActiveCells()} hexes)`);
             }
         }
     });
     
     // Mouse leave - stop dragging if mouse leaves the grid
+    // (selections and moves finish on mouseup at their last hex)
     hexGrid.addEventListener('mouseleave', () => {
-        if (state.isDragging) {
+        if (state.isDragging && !['select', 'move', 'line'].includes(state.dragAction)) {
             state.isDragging = false;
             state.dragAction = null;
+            scheduleAutosave();
+        }
+        if (state.stampHover) {
+            state.stampHover = null;
+            renderOverlays();
         }
     });
     
     // Initial setup
     updateGridInfo();
+    syncGradientControls();
     
     // Generate initial grid
     const dims = calculateGridDimensions(state.hexRealSize, state.quiltWidth, state.quiltHeight);
@@ -2358,6 +7947,12 @@ function init() {
     saveToHistory();
     renderGrid();
     updateMiniBrushSelectorVisibility();
+    renderStampSelect();
+    selectStamp(state.stampId);
+    updateProjectTitle();
+    migrateLegacySave();
+    loadUserStamps();
+    restoreSession();
 }
 
 // Start the app